@@ -7,17 +7,34 @@
  * from composable feature dimensions. Each emotion is a "recipe" combining:
  *   eyeSize, eyeColor, eyeGlow, pupilShift, blinkRate,
  *   mouthType, browType, blush, bodyAnim
+ * plus three optional ones (FACE_FEATURE_DEFAULTS fills them in):
+ *   eyeShape  — round, heart, star, happy (closed ^ ^ arcs), spiral
+ *   overlay   — tears, sweat, sparkles, anger-vein, question
+ *   accessory — wizard-hat, nightcap, scarf; "auto" (the default) wears
+ *               whatever the caller passes as options.accessory, so the
+ *               dashboard can dress him by room or weather
  *
  * Usage:
  *   renderFace(containerEl, 'happy');
- *   renderFace(containerEl, 'curious');
+ *   renderFace(containerEl, 'curious');          // morphs from happy
  *   renderFace(containerEl, { eyeSize:'big', eyeColor:'#FFD700', ... });
  *
+ *   var face = renderFace(containerEl, 'excited', { transitionMs: 600 });
+ *   renderFace(containerEl, 'cozy', { accessory: 'nightcap' }); // bedroom
+ *   applyBodyAnim(spriteBodyEl, face.bodyAnim);  // bounce
+ *
  * The container should be 200×183px with position: absolute or relative.
+ * Rendering into a container that already holds a face morphs between
+ * the two recipes instead of cutting.
  *
  * Exports:
  *   window.renderFace(container, mood, options)  — main API
- *   window.EMOTION_RECIPES                        — emotion definitions
+ *   window.applyBodyAnim(el, bodyAnim)            — cf-body-* class on an element
+ *   window.setCustomEmotions(recipes)             — add moods from /api/emotions
+ *   window.EMOTION_RECIPES                        — emotion definitions (built-in + custom)
+ *   window.BUILT_IN_RECIPES                       — the moods that ship with the module
+ *   window.FACE_FEATURES                          — allowed values per recipe field
+ *   window.FACE_FEATURE_DEFAULTS                  — values for the optional fields
  *
  * Dependencies: None — vanilla JS.
  * ============================================================================
@@ -57,6 +74,16 @@
       // Mouth wobble
       '@keyframes cf-wobble { 0%,100%{transform:translateX(0)} 25%{transform:translateX(-1px)} 75%{transform:translateX(1px)} }',
 
+      // Spiral eyes: dizzy spin
+      '@keyframes cf-spin { from{transform:rotate(0deg)} to{transform:rotate(360deg)} }',
+
+      // Overlays: tears and sweat run down, sparkles twinkle, vein throbs, "?" bobs
+      '@keyframes cf-tear { 0%{transform:translateY(0);opacity:0} 15%{opacity:1} 100%{transform:translateY(12px);opacity:0} }',
+      '@keyframes cf-sweat { 0%,100%{transform:translateY(0)} 50%{transform:translateY(3px)} }',
+      '@keyframes cf-twinkle { 0%,100%{transform:scale(0.4);opacity:0.2} 50%{transform:scale(1);opacity:1} }',
+      '@keyframes cf-throb { 0%,100%{transform:scale(1)} 50%{transform:scale(1.25)} }',
+      '@keyframes cf-bob { 0%,100%{transform:translateY(0)} 50%{transform:translateY(-3px)} }',
+
       // Body animations (applied to sprite container via class)
       '@keyframes cf-body-bounce { 0%,100%{transform:translateY(0)} 50%{transform:translateY(-8px)} }',
       '@keyframes cf-body-shrink { 0%,100%{transform:scale(1)} 50%{transform:scale(0.95)} }',
@@ -102,14 +129,40 @@
     defiant:     { eyeSize:'normal', eyeColor:'#FF4444', eyeGlow:'bright',     pupilShift:'center', blinkRate:'none',   mouthType:'smirk',  browType:'angry',       blush:'none',  bodyAnim:'none' }
   };
 
-  // =========================================================================
-  //  DOM Helper
-  // =========================================================================
+  /** The built-in recipes, kept so setCustomEmotions() can start over. */
+  var BUILT_IN_RECIPES = Object.assign({}, EMOTION_RECIPES);
 
-  function mk(tag, styles) {
-    var el = document.createElement(tag);
-    Object.assign(el.style, styles);
-    return el;
+  /**
+   * Values each recipe field may take (eyeColor: a "#rrggbb" colour, or
+   * null for no eyes). The face designer builds its dropdowns from this
+   * and the server validates custom recipes against it.
+   */
+  var FEATURES = {
+    eyeShape:   ['round', 'heart', 'star', 'happy', 'spiral'],
+    eyeSize:    ['normal', 'tiny', 'big', 'wide'],
+    eyeColor:   'color',
+    eyeGlow:    ['bright', 'dim', 'pulsing', 'flickering', 'off'],
+    pupilShift: ['center', 'left', 'right', 'up', 'down'],
+    blinkRate:  ['normal', 'slow', 'fast', 'none'],
+    mouthType:  ['smug', 'smirk', 'frown', 'cat', 'snore', 'grin', 'flat', 'open', 'small-o', 'wobble'],
+    browType:   ['none', 'angry', 'thinking', 'worried', 'raised-both', 'furrowed'],
+    blush:      ['none', 'light', 'heavy'],
+    bodyAnim:   ['none', 'bounce', 'shrink', 'vibrate', 'sway', 'float'],
+    overlay:    ['none', 'tears', 'sweat', 'sparkles', 'anger-vein', 'question'],
+    accessory:  ['auto', 'none', 'wizard-hat', 'nightcap', 'scarf']
+  };
+
+  /** Optional recipe fields and what a recipe without them gets. */
+  var FEATURE_DEFAULTS = { eyeShape: 'round', overlay: 'none', accessory: 'auto' };
+
+  /**
+   * Replace the custom moods (from GET /api/emotions) on top of the
+   * built-ins. Custom recipes may override a built-in by name.
+   * @param {object} recipes - name → recipe
+   */
+  function setCustomEmotions(recipes) {
+    Object.keys(EMOTION_RECIPES).forEach(function(name) { delete EMOTION_RECIPES[name]; });
+    Object.assign(EMOTION_RECIPES, BUILT_IN_RECIPES, recipes || {});
   }
 
   // =========================================================================
@@ -163,22 +216,115 @@
     }
   }
 
+  // =========================================================================
+  //  Morphing
+  //
+  //  Every feature element carries a key ("eye-0", "brow-1", "mouth", ...)
+  //  and a shape. Re-rendering keeps elements whose key and shape match and
+  //  lets CSS transitions tween them to the new recipe — eyes resize,
+  //  colours blend, brows rotate. A feature that changes shape (a smug
+  //  mouth becoming a cat mouth) or comes and goes cross-fades instead.
+  // =========================================================================
+
+  /** Default morph duration between moods (ms). */
+  var DEFAULT_TRANSITION_MS = 400;
+
+  /** Style properties that tween during a morph. */
+  var MORPH_PROPS = ['top', 'left', 'width', 'height', 'background', 'border-radius',
+    'border-color', 'box-shadow', 'color', 'transform', 'opacity'];
+
+  /**
+   * Collect one render's features and reconcile them with the container.
+   * @param {HTMLElement} container
+   * @param {number} ms - Transition length; 0 swaps instantly.
+   * @returns {object} { put(key, shape, styles, build?), finish() }
+   */
+  function createPainter(container, ms) {
+    var used = {};
+    var transition = ms
+      ? MORPH_PROPS.map(function(prop) { return prop + ' ' + ms + 'ms ease'; }).join(', ')
+      : '';
+
+    function leave(el) {
+      delete el.dataset.cf;
+      if (!ms) { el.remove(); return; }
+      el.style.transition = transition;
+      el.style.opacity = '0';
+      setTimeout(function() { el.remove(); }, ms);
+    }
+
+    /**
+     * Place a feature: tween the existing one, or fade a new one in.
+     * @param {string} key - Stable slot name.
+     * @param {string} shape - Elements only tween into the same shape.
+     * @param {object} styles - Inline styles (give every tweened prop).
+     * @param {function(): Element} [build] - Creates the element (default: a div).
+     * @returns {Element}
+     */
+    function put(key, shape, styles, build) {
+      used[key] = true;
+      var el = container.querySelector('[data-cf="' + key + '"]');
+      if (el && el.dataset.cfShape === shape) {
+        el.style.transition = transition;
+        Object.assign(el.style, styles);
+        return el;
+      }
+      if (el) leave(el);
+      el = build ? build() : document.createElement('div');
+      Object.assign(el.style, styles);
+      el.dataset.cf = key;
+      el.dataset.cfShape = shape;
+      if (!ms) {
+        container.appendChild(el);
+        return el;
+      }
+      el.style.opacity = '0';
+      container.appendChild(el);
+      el.getBoundingClientRect(); // commit opacity 0 so the fade runs
+      el.style.transition = transition;
+      el.style.opacity = '1';
+      return el;
+    }
+
+    /** Fade out whatever this render didn't place. */
+    function finish() {
+      Array.prototype.forEach.call(container.querySelectorAll('[data-cf]'), function(el) {
+        if (!used[el.dataset.cf]) leave(el);
+      });
+    }
+
+    return { put: put, finish: finish };
+  }
+
   // =========================================================================
   //  Main Renderer
   // =========================================================================
 
   /**
-   * Render Claudron's face into a container.
+   * Render Claudron's face into a container. If a face is already there,
+   * morph from it to the new one.
    *
    * @param {HTMLElement} container - 200×183px face overlay element.
    * @param {string|object} mood - Emotion name or custom recipe object.
-   * @param {object} [options] - Reserved for future use.
-   * @returns {object} - { bodyAnim: string } for the caller to apply.
+   * @param {object} [options]
+   * @param {number} [options.transitionMs=400] - Morph length; 0 for a hard cut.
+   * @param {string} [options.accessory] - Worn when the recipe's accessory
+   *   is "auto" (e.g. picked by room or weather).
+   * @returns {object} - { bodyAnim: string } for the caller to apply
+   *   (see applyBodyAnim).
    */
   function renderFace(container, mood, options) {
     if (!container) return { bodyAnim: 'none' };
     injectStyles();
-    container.innerHTML = '';
+
+    // Morph only from a face this module drew; anything else is replaced
+    var ms = 0;
+    if (container.querySelector('[data-cf]')) {
+      ms = options && options.transitionMs !== undefined ? options.transitionMs : DEFAULT_TRANSITION_MS;
+    } else {
+      container.innerHTML = '';
+    }
+    var paint = createPainter(container, ms);
 
     // Resolve recipe
     var recipe;
@@ -188,10 +334,12 @@
       recipe = EMOTION_RECIPES[mood] || EMOTION_RECIPES.happy;
     }
 
-    var r = recipe;
+    var r = Object.assign({}, FEATURE_DEFAULTS, recipe);
 
     // --- Eyes ---
-    if (r.eyeColor && r.eyeGlow !== 'off') {
+    if (r.eyeColor && r.eyeGlow !== 'off' && r.eyeShape !== 'round' && EYE_SHAPES[r.eyeShape]) {
+      renderShapedEyes(paint, r);
+    } else if (r.eyeColor && r.eyeGlow !== 'off') {
       var metrics = getEyeMetrics(r.eyeSize);
       var transform = getPupilTransform(r.pupilShift);
       var glowStyles = getGlowStyles(r.eyeColor, r.eyeGlow);
@@ -203,8 +351,8 @@
       if (glowStyles.animation) anims.push(glowStyles.animation);
       var combinedAnim = anims.join(', ') || 'none';
 
-      metrics.positions.forEach(function(left) {
-        container.appendChild(mk('div', {
+      metrics.positions.forEach(function(left, i) {
+        paint.put('eye-' + i, 'eye', {
           position: 'absolute',
           top: metrics.top + 'px',
           left: left + 'px',
@@ -216,16 +364,18 @@
           animation: combinedAnim,
           transformOrigin: 'center',
           transform: transform
-        }));
+        });
       });
     } else if (r.eyeGlow === 'off') {
-      // Closed eyes (sleeping)
-      [117, 139].forEach(function(left) {
-        container.appendChild(mk('div', {
+      // Closed eyes (sleeping) — same slots, so open eyes squeeze shut
+      [117, 139].forEach(function(left, i) {
+        paint.put('eye-' + i, 'eye', {
           position: 'absolute', top: '70px', left: left + 'px',
           width: '8px', height: '2px',
-          background: '#C4B5FD', borderRadius: '1px'
-        }));
+          background: '#C4B5FD', borderRadius: '1px',
+          boxShadow: 'none', animation: 'none',
+          transformOrigin: 'center', transform: 'none'
+        });
       });
     }
 
@@ -233,222 +383,402 @@
     if (r.blush && r.blush !== 'none') {
       var opacity = r.blush === 'heavy' ? 0.75 : 0.55;
       var spread = r.blush === 'heavy' ? '0 0 6px rgba(255,100,140,0.5)' : '0 0 4px rgba(255,100,140,0.3)';
-      [113, 141].forEach(function(left) {
-        container.appendChild(mk('div', {
+      [113, 141].forEach(function(left, i) {
+        paint.put('blush-' + i, 'blush', {
           position: 'absolute', top: '78px', left: left + 'px',
           width: '10px', height: '5px',
           background: 'rgba(255,100,140,' + opacity + ')',
           borderRadius: '50%',
           boxShadow: spread
-        }));
+        });
       });
     }
 
     // --- Eyebrows ---
-    renderBrows(container, r.browType, r.eyeColor);
+    renderBrows(paint, r.browType, r.eyeColor);
 
     // --- Mouth ---
-    renderMouth(container, r.mouthType);
+    renderMouth(paint, r.mouthType);
+
+    // --- Overlay (tears, sparkles, ...) and accessory (hats, scarf) ---
+    renderOverlay(paint, r.overlay);
+    var accessory = r.accessory === 'auto' ? (options && options.accessory) : r.accessory;
+    renderAccessory(paint, accessory);
 
     // --- ZzZ (sleeping) ---
     if (r.mouthType === 'snore') {
-      container.appendChild(mk('div', {
+      paint.put('zzz', 'zzz', {
         position: 'absolute', top: '50px', right: '23px',
         color: '#A78BFA', fontSize: '14px', fontFamily: 'monospace',
         animation: 'cf-zzz 2s infinite'
-      })).textContent = 'zZ';
+      }, function() {
+        var el = document.createElement('div');
+        el.textContent = 'zZ';
+        return el;
+      });
     }
 
-    // --- Body animation ---
-    var bodyAnim = r.bodyAnim || 'none';
+    paint.finish();
 
-    // Apply body animation class to sprite container if we can find it
-    var spriteWrap = container.closest('#sprite-wrap') ||
-                     (container.parentElement && container.parentElement.querySelector('#sprite-wrap'));
-    if (!spriteWrap && container.parentElement) {
-      spriteWrap = container.parentElement;
-    }
+    // --- Body animation (the caller applies it; see applyBodyAnim) ---
+    var bodyAnim = r.bodyAnim || 'none';
 
     // Set data attribute for external consumers
     container.dataset.bodyAnim = bodyAnim;
 
-    // Apply/remove body animation classes on the anchor (parent of sprite-wrap)
-    var spriteAnchor = document.getElementById('sprite-anchor');
-    if (spriteAnchor) {
-      // Remove all cf-body-* classes
-      spriteAnchor.className = spriteAnchor.className.replace(/\bcf-body-\S+/g, '').trim();
-      if (bodyAnim !== 'none') {
-        spriteAnchor.classList.add('cf-body-' + bodyAnim);
+    return { bodyAnim: bodyAnim };
+  }
+
+  /**
+   * Put a body animation on an element (and take off any previous one).
+   * Use an element whose transform isn't already spoken for — the
+   * animations set `transform`.
+   *
+   * @param {HTMLElement} el - e.g. the element wrapping sprite + face.
+   * @param {string} bodyAnim - bounce, shrink, vibrate, sway, float or none.
+   */
+  function applyBodyAnim(el, bodyAnim) {
+    if (!el) return;
+    injectStyles();
+    el.className = el.className.replace(/\bcf-body-\S+/g, '').trim();
+    if (bodyAnim && bodyAnim !== 'none') el.classList.add('cf-body-' + bodyAnim);
+  }
+
+  // =========================================================================
+  //  Pixel Art
+  //
+  //  Eye shapes, overlays and accessories are drawn as pixel grids: one
+  //  px×px cell plus a box-shadow copy of it per filled pixel, so they
+  //  stay crisp and line up with the sprite's own pixels. Rows are strings;
+  //  each character picks a colour from the palette ("." is empty).
+  //  'currentColor' lets a shape follow the element's `color` — shaped eyes
+  //  tween to a new eye colour like round ones do.
+  // =========================================================================
+
+  /**
+   * Build a pixel-art element.
+   * @param {string[]} rows - e.g. ['XX.XX', 'XXXXX', '.XXX.', '..X..']
+   * @param {number} px - Cell size.
+   * @param {object} palette - Character → CSS colour.
+   * @returns {HTMLElement} A div sized to the grid.
+   */
+  function pixelArt(rows, px, palette) {
+    var shadows = [];
+    rows.forEach(function(row, y) {
+      row.split('').forEach(function(ch, x) {
+        if (palette[ch]) shadows.push((x * px) + 'px ' + (y * px) + 'px 0 0 ' + palette[ch]);
+      });
+    });
+    var box = document.createElement('div');
+    box.style.position = 'absolute';
+    box.style.width = rows[0].length * px + 'px';
+    box.style.height = rows.length * px + 'px';
+    var cell = document.createElement('div');
+    cell.style.position = 'absolute';
+    cell.style.top = '0';
+    cell.style.left = '0';
+    cell.style.width = px + 'px';
+    cell.style.height = px + 'px';
+    cell.style.boxShadow = shadows.join(', ');
+    box.appendChild(cell);
+    return box;
+  }
+
+  // =========================================================================
+  //  Shaped Eyes
+  //
+  //  Same slots as round eyes (eye-0, eye-1) but a different shape per
+  //  eyeShape, so switching between them cross-fades. Size comes from
+  //  eyeSize, colour from eyeColor; glow becomes a drop-shadow on the
+  //  pixels so it follows the outline (and survives the pulse animation,
+  //  which filters the eye itself).
+  // =========================================================================
+
+  /** Eye shape → pixel rows (5 wide). */
+  var EYE_SHAPES = {
+    heart:  ['XX.XX', 'XXXXX', 'XXXXX', '.XXX.', '..X..'],
+    star:   ['..X..', '.XXX.', 'XXXXX', '.XXX.', 'X...X'],
+    happy:  ['.XXX.', 'X...X', 'X...X'],
+    spiral: ['XXXXX', '....X', 'XXX.X', 'X...X', 'XXXXX']
+  };
+
+  function renderShapedEyes(paint, r) {
+    var rows = EYE_SHAPES[r.eyeShape];
+    var metrics = getEyeMetrics(r.eyeSize);
+    var px = Math.max(1, Math.round(metrics.w / 5));
+    var w = 5 * px;
+    var h = rows.length * px;
+    var glow = getGlowStyles(r.eyeColor, r.eyeGlow);
+
+    // Happy arcs are closed eyes — they don't blink; spirals spin instead
+    var anims = [];
+    if (r.eyeShape === 'spiral') anims.push('cf-spin 1.5s linear infinite');
+    else if (r.eyeShape !== 'happy' && getBlinkAnim(r.blinkRate)) anims.push(getBlinkAnim(r.blinkRate));
+    if (glow.animation) anims.push(glow.animation);
+
+    var shadow = r.eyeGlow === 'dim' ? 'drop-shadow(0 0 1px currentColor)'
+      : 'drop-shadow(0 0 2px currentColor) drop-shadow(0 0 4px currentColor)';
+
+    metrics.positions.forEach(function(left, i) {
+      var el = paint.put('eye-' + i, 'eye-' + r.eyeShape, {
+        position: 'absolute',
+        top: Math.round(metrics.top + (metrics.h - h) / 2) + 'px',
+        left: Math.round(left + (metrics.w - w) / 2) + 'px',
+        width: w + 'px',
+        height: h + 'px',
+        color: r.eyeColor,
+        animation: anims.join(', ') || 'none',
+        transformOrigin: 'center',
+        transform: r.eyeShape === 'spiral' ? 'none' : getPupilTransform(r.pupilShift)
+      });
+      // Redraw the pixels when the size or glow changes (or on first paint)
+      var grid = px + ' ' + shadow;
+      if (el.dataset.cfGrid !== grid) {
+        var cell = pixelArt(rows, px, { X: 'currentColor' }).firstChild;
+        cell.style.filter = shadow;
+        el.innerHTML = '';
+        el.appendChild(cell);
+        el.dataset.cfGrid = grid;
       }
-    }
+    });
+  }
 
-    return { bodyAnim: bodyAnim };
+  // =========================================================================
+  //  Overlays
+  //
+  //  One slot ("overlay") covering the face; its shape is the overlay
+  //  type. Each piece is [top, left, rows, px, palette, animation].
+  // =========================================================================
+
+  var DROP = ['.X.', 'XXX', 'XXX', '.X.'];
+  var SPARKLE = ['.X.', 'XXX', '.X.'];
+
+  var OVERLAYS = {
+    'tears': [
+      [78, 116, DROP, 2, { X: '#60A5FA' }, 'cf-tear 1.6s ease-in infinite'],
+      [78, 144, DROP, 2, { X: '#60A5FA' }, 'cf-tear 1.6s ease-in 0.8s infinite']
+    ],
+    'sweat': [
+      [50, 160, ['.X.', '.X.', 'XXX', 'XWX', '.X.'], 2, { X: '#93C5FD', W: '#E0F2FE' }, 'cf-sweat 1.2s ease-in-out infinite']
+    ],
+    'sparkles': [
+      [40, 82, SPARKLE, 3, { X: '#FDE68A' }, 'cf-twinkle 1.4s ease-in-out infinite'],
+      [30, 166, SPARKLE, 2, { X: '#FDE68A' }, 'cf-twinkle 1.4s ease-in-out 0.5s infinite'],
+      [96, 172, SPARKLE, 2, { X: '#FDE68A' }, 'cf-twinkle 1.4s ease-in-out 0.9s infinite']
+    ],
+    'anger-vein': [
+      [44, 152, ['XX.XX', 'X...X', '.....', 'X...X', 'XX.XX'], 2, { X: '#FF4444' }, 'cf-throb 0.8s ease-in-out infinite']
+    ],
+    'question': [
+      [14, 164, ['.XX.', 'X..X', '...X', '..X.', '....', '..X.'], 3, { X: '#C4B5FD' }, 'cf-bob 1.5s ease-in-out infinite']
+    ]
+  };
+
+  function renderOverlay(paint, overlay) {
+    var pieces = OVERLAYS[overlay];
+    if (!pieces) return;
+    paint.put('overlay', overlay, {
+      position: 'absolute', top: '0', left: '0', width: '200px', height: '183px'
+    }, function() {
+      var layer = document.createElement('div');
+      pieces.forEach(function(p) {
+        var el = pixelArt(p[2], p[3], p[4]);
+        el.style.top = p[0] + 'px';
+        el.style.left = p[1] + 'px';
+        el.style.animation = p[5];
+        layer.appendChild(el);
+      });
+      return layer;
+    });
   }
 
   // =========================================================================
-  //  Brow Renderer
+  //  Accessories
+  //
+  //  One slot ("accessory"); hats sit on top of the head, the scarf where
+  //  the head meets the tail. [top, left, rows, px, palette].
   // =========================================================================
 
-  function renderBrows(container, browType, eyeColor) {
-    if (!browType || browType === 'none') return;
+  var ACCESSORIES = {
+    'wizard-hat': [8, 102, [
+      '......X......',
+      '.....XXX.....',
+      '.....XXX.....',
+      '....XXSXX....',
+      '....XXXXX....',
+      '...XXXXXXX...',
+      '...XXXXXXX...',
+      '..XXXXXXXXX..',
+      '..BBBBBBBBB..',
+      'XXXXXXXXXXXXX'
+    ], 3, { X: '#4C1D95', S: '#FDE68A', B: '#FBBF24' }],
+    'nightcap': [17, 102, [
+      '...........WW',
+      '........XX.WW',
+      '......XXXXX..',
+      '....XXXXXX...',
+      '..XXLXXXLX...',
+      '.XXXXXXXXXX..',
+      'WWWWWWWWWWWWW'
+    ], 3, { X: '#3B82F6', L: '#93C5FD', W: '#F5F5F5' }],
+    'scarf': [106, 89, [
+      'XXXXXXXXXXXXXXXXXXXXXX',
+      'SSSSSSSSSSSSSSSSSSSSSS',
+      'XXXXXXXXXXXXXXXXXXXXXX',
+      '..............XXX.....',
+      '..............SSS.....',
+      '..............XXX.....',
+      '..............X.X.....'
+    ], 3, { X: '#DC2626', S: '#FDE68A' }]
+  };
 
-    var browColor = '#C4B5FD'; // default lavender
+  function renderAccessory(paint, accessory) {
+    var a = ACCESSORIES[accessory];
+    if (!a) return;
+    paint.put('accessory', accessory, {
+      position: 'absolute', top: a[0] + 'px', left: a[1] + 'px'
+    }, function() {
+      return pixelArt(a[2], a[3], a[4]);
+    });
+  }
 
-    switch (browType) {
-      case 'angry':
-        browColor = '#FF4444';
-        [[113, 15], [141, -15]].forEach(function(pair) {
-          container.appendChild(mk('div', {
-            position: 'absolute', top: '64px', left: pair[0] + 'px',
-            width: '10px', height: '2px',
-            background: browColor, transform: 'rotate(' + pair[1] + 'deg)'
-          }));
-        });
-        break;
+  // =========================================================================
+  //  Brow Renderer
+  //
+  //  Slots: brow-0 (left), brow-1 (right). Every brow sets the same
+  //  properties, so any brow type can morph into any other.
+  // =========================================================================
 
-      case 'thinking':
-        container.appendChild(mk('div', {
-          position: 'absolute', top: '62px', left: '139px',
-          width: '10px', height: '2px',
-          background: browColor, borderRadius: '1px', transform: 'rotate(-10deg)'
-        }));
-        break;
+  /** Brow type → [left brow, right brow] as [top, left, rotation°], null = hidden. */
+  var BROWS = {
+    'angry':       [[64, 113, 15],  [64, 141, -15]],
+    'thinking':    [null,           [62, 139, -10]],
+    'worried':     [[63, 113, -12], [63, 141, 12]],  // angled up-outward (concerned)
+    'raised-both': [[61, 113, 0],   [61, 141, 0]],   // raised high
+    'furrowed':    [[64, 113, 8],   [64, 141, -8]]   // angled inward (tense, focused)
+  };
 
-      case 'worried':
-        // Both brows angled up-outward (concerned)
-        [[113, -12], [141, 12]].forEach(function(pair) {
-          container.appendChild(mk('div', {
-            position: 'absolute', top: '63px', left: pair[0] + 'px',
-            width: '10px', height: '2px',
-            background: browColor, transform: 'rotate(' + pair[1] + 'deg)'
-          }));
-        });
-        break;
+  function renderBrows(paint, browType, eyeColor) {
+    var brows = BROWS[browType];
+    if (!brows) return;
 
-      case 'raised-both':
-        // Both brows raised high
-        [113, 141].forEach(function(left) {
-          container.appendChild(mk('div', {
-            position: 'absolute', top: '61px', left: left + 'px',
-            width: '10px', height: '2px',
-            background: browColor, borderRadius: '1px'
-          }));
-        });
-        break;
+    var browColor = browType === 'angry' ? '#FF4444' : '#C4B5FD'; // default lavender
 
-      case 'furrowed':
-        // Both brows angled inward slightly (tense, focused)
-        [[113, 8], [141, -8]].forEach(function(pair) {
-          container.appendChild(mk('div', {
-            position: 'absolute', top: '64px', left: pair[0] + 'px',
-            width: '10px', height: '2px',
-            background: browColor, transform: 'rotate(' + pair[1] + 'deg)'
-          }));
-        });
-        break;
-    }
+    brows.forEach(function(brow, i) {
+      if (!brow) return;
+      paint.put('brow-' + i, 'brow', {
+        position: 'absolute', top: brow[0] + 'px', left: brow[1] + 'px',
+        width: '10px', height: '2px',
+        background: browColor, borderRadius: '1px',
+        transform: 'rotate(' + brow[2] + 'deg)'
+      });
+    });
   }
 
   // =========================================================================
   //  Mouth Renderer
+  //
+  //  One slot ("mouth"); its shape is the mouth type, so a new type
+  //  cross-fades over the old one.
   // =========================================================================
 
-  function renderMouth(container, mouthType) {
+  function renderMouth(paint, mouthType) {
     switch (mouthType) {
       case 'smug':
-        container.appendChild(mk('div', {
+        paint.put('mouth', mouthType, {
           position: 'absolute', top: '85px', left: '129px',
           width: '8px', height: '4px',
           borderBottom: '2px solid #C4B5FD', borderRadius: '0 0 5px 5px'
-        }));
+        });
         break;
 
       case 'smirk':
-        container.appendChild(mk('div', {
+        paint.put('mouth', mouthType, {
           position: 'absolute', top: '85px', left: '130px',
           width: '6px', height: '3px',
           borderBottom: '2px solid #C4B5FD', borderRadius: '0 0 5px 1px'
-        }));
+        });
         break;
 
       case 'frown':
-        container.appendChild(mk('div', {
+        paint.put('mouth', mouthType, {
           position: 'absolute', top: '87px', left: '130px',
           width: '6px', height: '3px',
           borderTop: '2px solid #FF6666', borderRadius: '5px 5px 0 0'
-        }));
+        });
         break;
 
       case 'cat':
-        var svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-        svg.setAttribute('viewBox', '0 0 12 6');
-        svg.setAttribute('width', '12');
-        svg.setAttribute('height', '6');
-        svg.style.cssText = 'position:absolute;top:83px;left:126px;';
-        var p = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-        p.setAttribute('d', 'M0,1 Q3,6 6,1 Q9,6 12,1');
-        p.setAttribute('fill', 'none');
-        p.setAttribute('stroke', '#C4B5FD');
-        p.setAttribute('stroke-width', '1.5');
-        p.setAttribute('stroke-linecap', 'round');
-        svg.appendChild(p);
-        container.appendChild(svg);
+        paint.put('mouth', mouthType, { position: 'absolute', top: '83px', left: '126px' }, function() {
+          var svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+          svg.setAttribute('viewBox', '0 0 12 6');
+          svg.setAttribute('width', '12');
+          svg.setAttribute('height', '6');
+          var p = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+          p.setAttribute('d', 'M0,1 Q3,6 6,1 Q9,6 12,1');
+          p.setAttribute('fill', 'none');
+          p.setAttribute('stroke', '#C4B5FD');
+          p.setAttribute('stroke-width', '1.5');
+          p.setAttribute('stroke-linecap', 'round');
+          svg.appendChild(p);
+          return svg;
+        });
         break;
 
       case 'snore':
-        container.appendChild(mk('div', {
+        paint.put('mouth', mouthType, {
           position: 'absolute', top: '84px', left: '131px',
           width: '5px', height: '5px',
           border: '2px solid #C4B5FD', borderRadius: '50%',
           animation: 'cf-snore 2.5s ease-in-out infinite'
-        }));
+        });
         break;
 
       case 'grin':
         // Wider than smug — big satisfied curve
-        container.appendChild(mk('div', {
+        paint.put('mouth', mouthType, {
           position: 'absolute', top: '84px', left: '126px',
           width: '12px', height: '5px',
           borderBottom: '2px solid #C4B5FD', borderRadius: '0 0 6px 6px'
-        }));
+        });
         break;
 
       case 'flat':
         // Straight horizontal line
-        container.appendChild(mk('div', {
+        paint.put('mouth', mouthType, {
           position: 'absolute', top: '87px', left: '129px',
           width: '8px', height: '2px',
           background: '#C4B5FD', borderRadius: '1px'
-        }));
+        });
         break;
 
       case 'open':
         // Small oval — surprise/awe
-        container.appendChild(mk('div', {
+        paint.put('mouth', mouthType, {
           position: 'absolute', top: '84px', left: '129px',
           width: '8px', height: '6px',
           border: '2px solid #C4B5FD', borderRadius: '50%',
           background: 'rgba(196,181,253,0.15)'
-        }));
+        });
         break;
 
       case 'small-o':
         // Tiny circle — curiosity
-        container.appendChild(mk('div', {
+        paint.put('mouth', mouthType, {
           position: 'absolute', top: '85px', left: '130px',
           width: '5px', height: '5px',
           border: '1.5px solid #C4B5FD', borderRadius: '50%'
-        }));
+        });
         break;
 
       case 'wobble':
         // Trembling flat mouth
-        container.appendChild(mk('div', {
+        paint.put('mouth', mouthType, {
           position: 'absolute', top: '87px', left: '128px',
           width: '8px', height: '2px',
           background: '#C4B5FD', borderRadius: '1px',
           animation: 'cf-wobble 0.3s ease-in-out infinite'
-        }));
+        });
         break;
     }
   }
@@ -458,6 +788,11 @@
   // =========================================================================
 
   global.renderFace = renderFace;
+  global.applyBodyAnim = applyBodyAnim;
+  global.setCustomEmotions = setCustomEmotions;
   global.EMOTION_RECIPES = EMOTION_RECIPES;
+  global.BUILT_IN_RECIPES = BUILT_IN_RECIPES;
+  global.FACE_FEATURES = FEATURES;
+  global.FACE_FEATURE_DEFAULTS = FEATURE_DEFAULTS;
 
 })(typeof window !== 'undefined' ? window : this);
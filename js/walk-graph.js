@@ -0,0 +1,145 @@
+/**
+ * ============================================================================
+ * File:     dashboard/js/walk-graph.js
+ * Purpose:  Walk graphs between room locations — validation and routing
+ *
+ * A room's config.json may list the paths Claudron can walk along, as
+ * pairs of location names (edges go both ways):
+ *
+ *   "paths": [["fountain", "path_center"], ["path_center", "path_entrance"],
+ *             ["path_center", "path_end"], ["path_center", "garden"]]
+ *
+ * When his location changes, the dashboard walks the shortest route
+ * through that graph instead of teleporting. Distances are measured on
+ * the 1584×672 wallpaper, so a long horizontal hop costs what it looks
+ * like. Locations that aren't connected (or rooms without paths) still
+ * jump straight there.
+ *
+ * Shared by the dashboard (walking) and the server (validating
+ * PUT /api/room/:name/paths); the editor draws and edits the edges.
+ *
+ * Usage:
+ *   findRoute(roomConfig, 'fountain', 'garden');   // ['fountain', 'path_center', 'garden']
+ *   routeLength(roomConfig, route);                 // native px
+ *
+ * Exports:
+ *   window.findRoute(cfg, from, to)      — shortest route, or null
+ *   window.routeLength(cfg, route)       — route length in wallpaper px
+ *   window.validatePaths(paths, names)   — field → error map, or null
+ *
+ * Dependencies: None — vanilla JS.
+ * ============================================================================
+ */
+(function(global) {
+  'use strict';
+
+  /** Native wallpaper size the x/y fractions are relative to. */
+  var NATIVE_W = 1584;
+  var NATIVE_H = 672;
+
+  /**
+   * Distance between two locations in wallpaper px.
+   * @param {object} a - { x, y } (0–1)
+   * @param {object} b
+   * @returns {number}
+   */
+  function distance(a, b) {
+    return Math.hypot((b.x - a.x) * NATIVE_W, (b.y - a.y) * NATIVE_H);
+  }
+
+  /**
+   * Validate a room's paths against its locations.
+   * @param {Array} paths - [[from, to], ...]
+   * @param {string[]} names - The room's location names.
+   * @returns {object|null} Map of field path → error message, or null if valid.
+   */
+  function validatePaths(paths, names) {
+    if (!Array.isArray(paths)) return { paths: 'Must be an array of [from, to] pairs' };
+    var errors = {};
+    var seen = {};
+    paths.forEach(function(edge, i) {
+      var at = 'paths[' + i + ']';
+      if (!Array.isArray(edge) || edge.length !== 2 || typeof edge[0] !== 'string' || typeof edge[1] !== 'string') {
+        errors[at] = 'Must be a [from, to] pair of location names';
+        return;
+      }
+      edge.forEach(function(name) {
+        if (names.indexOf(name) < 0) errors[at] = 'Unknown location "' + name + '"';
+      });
+      if (errors[at]) return;
+      if (edge[0] === edge[1]) { errors[at] = 'A path needs two different locations'; return; }
+      var key = edge.slice().sort().join('\u0000');
+      if (seen[key]) errors[at] = 'Duplicate path';
+      seen[key] = true;
+    });
+    return Object.keys(errors).length ? errors : null;
+  }
+
+  /**
+   * Shortest route between two locations (Dijkstra over the room's paths).
+   * @param {object} cfg - Room config ({ locations, paths }).
+   * @param {string} from - Location name.
+   * @param {string} to - Location name.
+   * @returns {string[]|null} Location names from `from` to `to`, or null if
+   *   there's no route (or either end is unknown).
+   */
+  function findRoute(cfg, from, to) {
+    var locs = (cfg && cfg.locations) || {};
+    if (!locs[from] || !locs[to]) return null;
+    if (from === to) return [from];
+
+    var neighbours = {};
+    ((cfg && cfg.paths) || []).forEach(function(edge) {
+      if (!Array.isArray(edge) || !locs[edge[0]] || !locs[edge[1]]) return;
+      (neighbours[edge[0]] = neighbours[edge[0]] || []).push(edge[1]);
+      (neighbours[edge[1]] = neighbours[edge[1]] || []).push(edge[0]);
+    });
+
+    var dist = {};
+    var prev = {};
+    var done = {};
+    dist[from] = 0;
+    for (;;) {
+      // Rooms have a handful of locations — a linear scan beats a heap here
+      var here = null;
+      Object.keys(dist).forEach(function(name) {
+        if (!done[name] && (here === null || dist[name] < dist[here])) here = name;
+      });
+      if (here === null) return null;
+      if (here === to) break;
+      done[here] = true;
+      (neighbours[here] || []).forEach(function(next) {
+        var d = dist[here] + distance(locs[here], locs[next]);
+        if (dist[next] === undefined || d < dist[next]) {
+          dist[next] = d;
+          prev[next] = here;
+        }
+      });
+    }
+
+    var route = [to];
+    while (route[0] !== from) route.unshift(prev[route[0]]);
+    return route;
+  }
+
+  /**
+   * Length of a route in wallpaper px.
+   * @param {object} cfg - Room config.
+   * @param {string[]} route - From findRoute().
+   * @returns {number}
+   */
+  function routeLength(cfg, route) {
+    var total = 0;
+    for (var i = 1; i < route.length; i++) total += distance(cfg.locations[route[i - 1]], cfg.locations[route[i]]);
+    return total;
+  }
+
+  // =========================================================================
+  //  Exports
+  // =========================================================================
+
+  global.findRoute = findRoute;
+  global.routeLength = routeLength;
+  global.validatePaths = validatePaths;
+
+})(typeof window !== 'undefined' ? window : this);
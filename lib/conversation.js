@@ -0,0 +1,231 @@
+/**
+ * ============================================================================
+ * File:     dashboard/lib/conversation.js
+ * Purpose:  Multi-line "say" messages from the agent, with reply choices
+ *
+ * state.json only carries one `status` string. A *say* is a short script
+ * the dashboard plays in the speech bubble, one line after another:
+ *
+ *   { "lines": [
+ *       "oh hi! 👋",
+ *       { "text": "I was just reading about octopuses", "mood": "excited", "durationMs": 4000 },
+ *       { "text": "want to hear a fact?", "mood": "curious", "choices": ["yes!", "later"] } ] }
+ *
+ * A line is a string or { text, durationMs?, mood?, choices? }. Choices
+ * are strings or { id, label } and may only go on the last line — the
+ * conversation then waits for a tap (or the line's duration) and the
+ * agent answers with its next say.
+ *
+ * Only the newest say is live: a new one interrupts whatever is playing.
+ * Answers are accepted once, while the say is still on screen.
+ *
+ * Usage:
+ *   const conversation = createConversation();
+ *   const message = conversation.say(normalizeSay(body), 'agent');
+ *   conversation.answer(message.id, 'yes', 'ryan');   // → { ok, message, choice }
+ *
+ * Dependencies: None.
+ * ============================================================================
+ */
+
+/** Limits on a say. */
+const MAX_LINES = 20;
+const MAX_TEXT = 280;
+const MAX_CHOICES = 4;
+const MAX_LABEL = 40;
+const MIN_DURATION_MS = 500;
+const MAX_DURATION_MS = 60 * 1000;
+
+/** How long a line with choices waits for a tap unless it says otherwise. */
+const CHOICE_WAIT_MS = 30 * 1000;
+
+/** Choice ids: short and URL-safe. */
+const CHOICE_ID_PATTERN = /^[a-z0-9_-]{1,40}$/i;
+
+/** Says kept for answer lookups. */
+const HISTORY_SIZE = 50;
+
+/**
+ * Reading time for a line: long enough to finish the typewriter and read it.
+ * @param {string} text
+ * @returns {number} ms
+ */
+function defaultDuration(text) {
+  return Math.min(15000, 1500 + text.length * 60);
+}
+
+/**
+ * Turn a choice label into an id ("Not now!" → "not-now").
+ * @param {string} label
+ * @param {number} i - Position, used when the label has no usable characters.
+ * @returns {string}
+ */
+function choiceId(label, i) {
+  const slug = label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40);
+  return slug || `choice-${i + 1}`;
+}
+
+/**
+ * Validate a say body.
+ * @param {object} body - { lines }
+ * @param {object} [ctx] - { moods } known mood names.
+ * @returns {object|null} Map of field path → error message, or null if valid.
+ */
+function validateSay(body, { moods } = {}) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) return { '': 'Must be a JSON object' };
+  const errors = {};
+  for (const key of Object.keys(body)) {
+    if (key !== 'lines') errors[key] = 'Unknown field';
+  }
+  const { lines } = body;
+  if (!Array.isArray(lines) || !lines.length || lines.length > MAX_LINES) {
+    errors.lines = `Must be an array of 1–${MAX_LINES} lines`;
+    return errors;
+  }
+  lines.forEach((line, i) => {
+    const at = `lines[${i}]`;
+    if (typeof line === 'string') line = { text: line };
+    if (!line || typeof line !== 'object' || Array.isArray(line)) {
+      errors[at] = 'Must be a string or { text, durationMs?, mood?, choices? }';
+      return;
+    }
+    for (const key of Object.keys(line)) {
+      if (!['text', 'durationMs', 'mood', 'choices'].includes(key)) errors[`${at}.${key}`] = 'Unknown field';
+    }
+    if (typeof line.text !== 'string' || !line.text.trim() || line.text.length > MAX_TEXT) {
+      errors[`${at}.text`] = `Must be 1–${MAX_TEXT} characters`;
+    }
+    if (line.durationMs !== undefined &&
+        !(Number.isFinite(line.durationMs) && line.durationMs >= MIN_DURATION_MS && line.durationMs <= MAX_DURATION_MS)) {
+      errors[`${at}.durationMs`] = `Must be ${MIN_DURATION_MS}–${MAX_DURATION_MS} ms`;
+    }
+    if (line.mood !== undefined && moods && !moods.includes(line.mood)) {
+      errors[`${at}.mood`] = `Unknown mood "${line.mood}"`;
+    }
+    if (line.choices === undefined) return;
+    if (i !== lines.length - 1) {
+      errors[`${at}.choices`] = 'Only the last line may offer choices';
+      return;
+    }
+    if (!Array.isArray(line.choices) || !line.choices.length || line.choices.length > MAX_CHOICES) {
+      errors[`${at}.choices`] = `Must be an array of 1–${MAX_CHOICES} choices`;
+      return;
+    }
+    const seen = new Set();
+    line.choices.forEach((c, j) => {
+      const cat = `${at}.choices[${j}]`;
+      const choice = typeof c === 'string' ? { label: c } : c;
+      if (!choice || typeof choice !== 'object' || typeof choice.label !== 'string' ||
+          !choice.label.trim() || choice.label.length > MAX_LABEL) {
+        errors[cat] = `Must be a label (1–${MAX_LABEL} characters) or { id, label }`;
+        return;
+      }
+      if (choice.id !== undefined && !(typeof choice.id === 'string' && CHOICE_ID_PATTERN.test(choice.id))) {
+        errors[`${cat}.id`] = 'Expected 1–40 letters, digits, "-" or "_"';
+        return;
+      }
+      const id = choice.id || choiceId(choice.label, j);
+      if (seen.has(id)) errors[cat] = `Duplicate choice "${id}"`;
+      seen.add(id);
+    });
+  });
+  return Object.keys(errors).length ? errors : null;
+}
+
+/**
+ * Fill in defaults on a validated say: every line becomes an object with
+ * a durationMs, every choice gets an id.
+ * @param {object} body - Passed validateSay().
+ * @returns {object[]} lines
+ */
+function normalizeSay(body) {
+  return body.lines.map(raw => {
+    const line = typeof raw === 'string' ? { text: raw } : raw;
+    const out = { text: line.text };
+    if (line.mood !== undefined) out.mood = line.mood;
+    if (line.choices) {
+      out.choices = line.choices.map((c, j) => {
+        const choice = typeof c === 'string' ? { label: c } : c;
+        return { id: choice.id || choiceId(choice.label, j), label: choice.label };
+      });
+    }
+    out.durationMs = line.durationMs !== undefined ? line.durationMs
+      : out.choices ? CHOICE_WAIT_MS : defaultDuration(line.text);
+    return out;
+  });
+}
+
+/**
+ * Create the conversation store (in memory — a say only matters while it
+ * is on screen).
+ * @param {object} [opts]
+ * @param {function(): number} [opts.now]
+ * @returns {object} { say, current, get, answer }
+ */
+function createConversation({ now = () => Date.now() } = {}) {
+  /** Newest last. */
+  const messages = [];
+  let nextId = 1;
+
+  /**
+   * Start a new say (interrupting the current one).
+   * @param {object[]} lines - From normalizeSay().
+   * @param {string} from - Member id of the speaker (usually 'agent').
+   * @returns {object} { id, ts, from, lines, totalMs, endsAt, answer }
+   */
+  function say(lines, from) {
+    const t = now();
+    const totalMs = lines.reduce((sum, l) => sum + l.durationMs, 0);
+    const message = {
+      id: nextId++,
+      ts: new Date(t).toISOString(),
+      from,
+      lines,
+      totalMs,
+      endsAt: new Date(t + totalMs).toISOString(),
+      answer: null
+    };
+    messages.push(message);
+    if (messages.length > HISTORY_SIZE) messages.shift();
+    return message;
+  }
+
+  /** @returns {object|null} The say still playing, if any. */
+  function current() {
+    const last = messages[messages.length - 1];
+    return last && !last.answer && Date.parse(last.endsAt) > now() ? last : null;
+  }
+
+  /**
+   * @param {number} id
+   * @returns {object|null}
+   */
+  function get(id) {
+    return messages.find(m => m.id === id) || null;
+  }
+
+  /**
+   * Record a tapped choice.
+   * @param {number} id - Say id.
+   * @param {string} choiceIdValue - One of the last line's choice ids.
+   * @param {string} who - Member id of whoever tapped it.
+   * @returns {object} { ok: true, message, choice } or { ok: false, reason }
+   *   where reason is not_found, no_choices, unknown_choice, answered or closed.
+   */
+  function answer(id, choiceIdValue, who) {
+    const message = get(id);
+    if (!message) return { ok: false, reason: 'not_found' };
+    const choices = message.lines[message.lines.length - 1].choices;
+    if (!choices) return { ok: false, reason: 'no_choices' };
+    const choice = choices.find(c => c.id === choiceIdValue);
+    if (!choice) return { ok: false, reason: 'unknown_choice', choices: choices.map(c => c.id) };
+    if (message.answer) return { ok: false, reason: 'answered' };
+    if (current() !== message) return { ok: false, reason: 'closed' };
+    message.answer = { choice: choice.id, label: choice.label, who, ts: new Date(now()).toISOString() };
+    return { ok: true, message, choice };
+  }
+
+  return { say, current, get, answer };
+}
+
+module.exports = { createConversation, validateSay, normalizeSay, CHOICE_WAIT_MS };
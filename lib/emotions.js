@@ -0,0 +1,131 @@
+/**
+ * ============================================================================
+ * File:     dashboard/lib/emotions.js
+ * Purpose:  Custom emotion recipes from data/emotions.json
+ *
+ * The 18 built-in moods live in js/claudron-face.js. data/emotions.json
+ * adds more (or overrides a built-in by name) without touching JS:
+ *
+ *   { "emotions": {
+ *       "sick": { "eyeSize": "tiny", "eyeColor": "#A3E635", "eyeGlow": "dim",
+ *                 "pupilShift": "down", "blinkRate": "slow", "mouthType": "wobble",
+ *                 "browType": "worried", "blush": "none", "bodyAnim": "sway",
+ *                 "emoji": "🤢" } } }
+ *
+ * A recipe needs the nine core feature dimensions (FACE_FEATURES in
+ * claudron-face.js lists the allowed values). `eyeShape`, `overlay` and
+ * `accessory` are optional (FACE_FEATURE_DEFAULTS), as is `emoji`, which
+ * shows in the HUD.
+ *
+ * Usage:
+ *   const emotions = createEmotions({ file: EMOTIONS_FILE });
+ *   emotions.names();                    // built-in + custom, for validation
+ *   emotions.save({ sick: { ... } });    // after validateEmotions()
+ *
+ * Dependencies: ./json-file, ../js/claudron-face
+ * ============================================================================
+ */
+
+const { readJson, writeJsonAtomic } = require('./json-file');
+const { BUILT_IN_RECIPES, FACE_FEATURES, FACE_FEATURE_DEFAULTS } = require('../js/claudron-face');
+
+/** Mood names: lowercase, as used in state.json and the API. */
+const NAME_PATTERN = /^[a-z][a-z0-9-]{0,23}$/;
+
+/** "#rrggbb" */
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+/**
+ * Validate one recipe.
+ * @param {object} recipe
+ * @returns {object|null} Map of field → error message, or null if valid.
+ */
+function validateRecipe(recipe) {
+  if (!recipe || typeof recipe !== 'object' || Array.isArray(recipe)) return { '': 'Must be a JSON object' };
+  const errors = {};
+  for (const key of Object.keys(recipe)) {
+    if (!FACE_FEATURES[key] && key !== 'emoji') errors[key] = 'Unknown field';
+  }
+  for (const [key, allowed] of Object.entries(FACE_FEATURES)) {
+    const v = recipe[key];
+    if (v === undefined && key in FACE_FEATURE_DEFAULTS) continue;
+    if (allowed === 'color') {
+      if (v !== null && !(typeof v === 'string' && COLOR_PATTERN.test(v))) errors[key] = 'Must be a #rrggbb colour or null';
+    } else if (!allowed.includes(v)) {
+      errors[key] = `Must be one of ${allowed.join(', ')}`;
+    }
+  }
+  if (recipe.emoji !== undefined && !(typeof recipe.emoji === 'string' && recipe.emoji.trim() && recipe.emoji.length <= 16)) {
+    errors.emoji = 'Must be a short string (an emoji)';
+  }
+  return Object.keys(errors).length ? errors : null;
+}
+
+/**
+ * Validate a whole custom set ({ name: recipe }).
+ * @param {object} emotions
+ * @returns {object|null} Map of "name.field" → error message, or null if valid.
+ */
+function validateEmotions(emotions) {
+  if (!emotions || typeof emotions !== 'object' || Array.isArray(emotions)) return { emotions: 'Must be an object of name → recipe' };
+  const errors = {};
+  for (const [name, recipe] of Object.entries(emotions)) {
+    if (!NAME_PATTERN.test(name)) {
+      errors[name] = 'Names are 1–24 lowercase letters, digits or "-", starting with a letter';
+      continue;
+    }
+    for (const [field, msg] of Object.entries(validateRecipe(recipe) || {})) {
+      errors[field ? `${name}.${field}` : name] = msg;
+    }
+  }
+  return Object.keys(errors).length ? errors : null;
+}
+
+/**
+ * Create the emotions store.
+ * @param {object} opts
+ * @param {string} opts.file - data/emotions.json
+ * @returns {object} { custom, all, names, builtIn, save }
+ */
+function createEmotions({ file }) {
+  /** @returns {object} Custom recipes, name → recipe (re-read every call so hand edits apply). */
+  function custom() {
+    const doc = readJson(file, { emotions: {} });
+    const emotions = doc && doc.emotions && typeof doc.emotions === 'object' && !Array.isArray(doc.emotions) ? doc.emotions : {};
+    // Skip broken hand edits rather than serving a face that can't render
+    const out = {};
+    for (const [name, recipe] of Object.entries(emotions)) {
+      if (NAME_PATTERN.test(name) && !validateRecipe(recipe)) out[name] = recipe;
+    }
+    return out;
+  }
+
+  /** @returns {object} Built-ins merged with custom recipes. */
+  function all() {
+    return { ...BUILT_IN_RECIPES, ...custom() };
+  }
+
+  /** @returns {string[]} Every mood name. */
+  function names() {
+    return Object.keys(all());
+  }
+
+  /** @returns {string[]} Moods that ship with claudron-face.js. */
+  function builtIn() {
+    return Object.keys(BUILT_IN_RECIPES);
+  }
+
+  /**
+   * Replace the custom set (caller validates first).
+   * @param {object} emotions - name → recipe
+   * @returns {object} The saved custom set.
+   */
+  function save(emotions) {
+    writeJsonAtomic(file, { emotions });
+    return custom();
+  }
+
+  return { custom, all, names, builtIn, save };
+}
+
+module.exports = { createEmotions, validateRecipe, validateEmotions, NAME_PATTERN };
@@ -0,0 +1,94 @@
+/**
+ * ============================================================================
+ * File:     dashboard/lib/event-stream.js
+ * Purpose:  Server-Sent Events hub
+ *
+ * Keeps a set of open `text/event-stream` responses and fans named events
+ * out to all of them. Used by server.js to push state/room/weather changes
+ * to the dashboard instead of having it poll.
+ *
+ * Usage:
+ *   const stream = createEventStream();
+ *   stream.attach(req, res);              // inside a GET handler
+ *   stream.broadcast('state', { ... });   // to every connected client
+ *
+ * Dependencies: None — Node.js built-ins only.
+ * ============================================================================
+ */
+
+/** Interval between keep-alive comments so proxies don't drop idle streams. */
+const HEARTBEAT_MS = 25 * 1000;
+
+/**
+ * Write a single named SSE event to a response.
+ * @param {http.ServerResponse} res
+ * @param {string} event - Event name (the client listens with addEventListener).
+ * @param {*} data - JSON-serialisable payload.
+ * @param {number|string} [id] - Event id; the browser sends the last one
+ *   back as `Last-Event-ID` when it reconnects.
+ */
+function sendEvent(res, event, data, id) {
+  const idLine = id === undefined ? '' : `id: ${id}\n`;
+  res.write(`${idLine}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Create an SSE hub.
+ * @param {object} [options]
+ * @param {function(http.ServerResponse)} [options.onConnect] - Called after a
+ *   client attaches, so the caller can send it the current snapshot.
+ * @returns {{attach: function, broadcast: function, size: function}}
+ */
+function createEventStream(options = {}) {
+  const clients = new Set();
+  let heartbeat = null;
+
+  function startHeartbeat() {
+    if (heartbeat) return;
+    heartbeat = setInterval(() => {
+      for (const res of clients) res.write(': ping\n\n');
+    }, HEARTBEAT_MS);
+    heartbeat.unref();
+  }
+
+  function stopHeartbeat() {
+    if (!heartbeat || clients.size) return;
+    clearInterval(heartbeat);
+    heartbeat = null;
+  }
+
+  /**
+   * Turn a request into a long-lived event stream.
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   */
+  function attach(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    });
+    res.write('retry: 3000\n\n');
+    clients.add(res);
+    startHeartbeat();
+    req.on('close', () => {
+      clients.delete(res);
+      stopHeartbeat();
+    });
+    if (options.onConnect) options.onConnect(res);
+  }
+
+  /**
+   * Send an event to every connected client.
+   * @param {string} event
+   * @param {*} data
+   * @param {number|string} [id]
+   */
+  function broadcast(event, data, id) {
+    for (const res of clients) sendEvent(res, event, data, id);
+  }
+
+  return { attach, broadcast, size: () => clients.size };
+}
+
+module.exports = { createEventStream, sendEvent };
@@ -0,0 +1,510 @@
+/**
+ * ============================================================================
+ * File:     dashboard/lib/identity.js
+ * Purpose:  Household members, device tokens and roles
+ *
+ * Members live in data/members.json (committed):
+ *
+ *   { "members": [
+ *       { "id": "miranda", "name": "Miranda", "emoji": "🧹", "role": "owner",
+ *         "greeting": { "mood": "happy", "status": "hi Miranda! 🧹" },
+ *         "reactions": [ { "mood": "cozy", "status": "broom buddy 💜" } ] },
+ *       { "id": "guest",   "name": "Guest",   "emoji": "👻", "role": "guest" } ] }
+ *
+ * The order of the list is the order of the "who's there?" prompt.
+ * `greeting` is shown when someone claims that member; `reactions`, if
+ * present, replaces the default tap pool for their taps. Both are
+ * { mood, status } overlays, like every other reaction.
+ *
+ * Roles, lowest to highest: guest, member, owner. Anything above guest
+ * must have a PIN — claiming that member on the emoji prompt needs it,
+ * which is what stops a visitor from simply tapping 🧹. A member or owner
+ * without one (e.g. hand-edited into the file) can't be claimed until an
+ * owner or the agent sets a PIN.
+ *
+ * PIN hashes (scrypt, computed off the event loop) live in data/pins.json
+ * (gitignored), not in members.json, so setting a PIN never leaves a hash
+ * in a committed file; a `pinHash` found in members.json is moved over on
+ * startup. Wrong PINs are counted per member and per IP: after
+ * PIN_FREE_ATTEMPTS misses each further try has to wait, twice as long
+ * every time, up to an hour.
+ *
+ * Picking an emoji issues a random device token. Only its SHA-256 hash is
+ * kept, in data/devices.json (gitignored), so the file can't be replayed.
+ * The token travels as the HttpOnly `claudron_token` cookie from the
+ * dashboard, or as `Authorization: Bearer <token>` from scripts. An
+ * `agentToken` (CLAUDRON_AGENT_TOKEN) authenticates the agent as an owner.
+ *
+ * Usage:
+ *   const identity = createIdentity({ membersFile, devicesFile, pinsFile, agentToken });
+ *   const who = identity.identify(req);      // { member, device } or null
+ *   hasRole(who, 'owner');
+ *   await identity.verifyPin(member, pin, ip);  // { ok, retryAfterMs }
+ *
+ * Dependencies: ./json-file
+ * ============================================================================
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { readJson, writeJsonAtomic } = require('./json-file');
+
+/** Roles from least to most trusted. */
+const ROLES = ['guest', 'member', 'owner'];
+
+/** Cookie that carries the device token. */
+const TOKEN_COOKIE = 'claudron_token';
+
+/** Device tokens last a year; picking an emoji again renews it. */
+const TOKEN_MAX_AGE_S = 365 * 24 * 60 * 60;
+
+/** Most reactions a member can have in their personal pool. */
+const MAX_REACTIONS = 50;
+
+/** Wrong PINs allowed before backing off; each further miss doubles the wait. */
+const PIN_FREE_ATTEMPTS = 3;
+const PIN_BACKOFF_MS = 30 * 1000;
+const PIN_BACKOFF_MAX_MS = 60 * 60 * 1000;
+
+/** The agent's identity when it presents the agent token. */
+const AGENT_MEMBER = { id: 'agent', name: 'Claudron', emoji: '🧪', role: 'owner' };
+
+/**
+ * SHA-256 of a token, hex.
+ * @param {string} token
+ * @returns {string}
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * Hash a PIN for storage.
+ * @param {string} pin
+ * @returns {Promise<string>} "scrypt$<salt>$<hash>"
+ */
+async function hashPin(pin) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  return `scrypt$${salt}$${(await scrypt(String(pin), salt, 32)).toString('hex')}`;
+}
+
+/**
+ * Check a PIN against a stored hash (constant time).
+ * @param {string} pin
+ * @param {string} stored - From hashPin().
+ * @returns {Promise<boolean>}
+ */
+async function checkPin(pin, stored) {
+  const [scheme, salt, hash] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const actual = await scrypt(String(pin), salt, 32);
+  const expected = Buffer.from(hash, 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Parse a Cookie header.
+ * @param {string} [header]
+ * @returns {object} name → value
+ */
+function parseCookies(header) {
+  const out = {};
+  for (const part of String(header || '').split(';')) {
+    const i = part.indexOf('=');
+    if (i < 0) continue;
+    try { out[part.slice(0, i).trim()] = decodeURIComponent(part.slice(i + 1).trim()); } catch {}
+  }
+  return out;
+}
+
+/**
+ * Pull the device token from a request (Bearer header wins over cookie).
+ * @param {http.IncomingMessage} req
+ * @returns {string|null}
+ */
+function tokenFrom(req) {
+  const m = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+  if (m) return m[1];
+  return parseCookies(req.headers.cookie)[TOKEN_COOKIE] || null;
+}
+
+/**
+ * Set-Cookie value for a device token (or one that clears it).
+ * @param {string|null} token
+ * @returns {string}
+ */
+function tokenCookie(token) {
+  if (!token) return `${TOKEN_COOKIE}=; Path=/; Max-Age=0; HttpOnly; SameSite=Lax`;
+  return `${TOKEN_COOKIE}=${encodeURIComponent(token)}; Path=/; Max-Age=${TOKEN_MAX_AGE_S}; HttpOnly; SameSite=Lax`;
+}
+
+/**
+ * Does an identity have at least the given role?
+ * @param {object|null} who - From identify().
+ * @param {string} role - One of ROLES.
+ * @returns {boolean}
+ */
+function hasRole(who, role) {
+  return Boolean(who) && ROLES.indexOf(who.member.role) >= ROLES.indexOf(role);
+}
+
+/**
+ * Can this stored member be claimed from the emoji prompt? Guests always
+ * can; members and owners only with a PIN.
+ * @param {object} m
+ * @returns {boolean}
+ */
+function canClaim(m) {
+  return m.role === 'guest' || Boolean(m.pinHash);
+}
+
+/**
+ * Member as shown to clients (never includes the PIN hash).
+ * @param {object} m
+ * @returns {object}
+ */
+function publicMember(m) {
+  const { pinHash, ...rest } = m;
+  return { ...rest, hasPin: Boolean(pinHash) };
+}
+
+/**
+ * Validate one { mood, status } reaction.
+ * @param {*} r
+ * @param {string[]} [moods] - Known moods; unchecked when omitted.
+ * @returns {string|null} Error message, or null if valid.
+ */
+function reactionError(r, moods) {
+  if (!r || typeof r !== 'object' || Array.isArray(r)) return 'Must be { mood, status }';
+  const extra = Object.keys(r).find(k => k !== 'mood' && k !== 'status');
+  if (extra) return `Unknown field "${extra}"`;
+  if (typeof r.mood !== 'string' || (moods && !moods.includes(r.mood))) return `Unknown mood "${r.mood}"`;
+  if (typeof r.status !== 'string' || !r.status.trim() || r.status.length > 80) {
+    return 'status must be a non-empty string of at most 80 characters';
+  }
+  return null;
+}
+
+/**
+ * Validate a member (or a partial update when `partial` is set).
+ * `pin` may be a string (sets it) or null (clears it); it's hashed on save.
+ * Roles above guest need a PIN, so an update is checked against `current`.
+ * `greeting` and `reactions` may be null to fall back to the defaults.
+ * @param {object} m
+ * @param {object} [opts] - { partial, moods, current } (`current`: stored member being updated)
+ * @returns {object|null} Map of field → error message, or null if valid.
+ */
+function validateMember(m, { partial = false, moods, current } = {}) {
+  if (!m || typeof m !== 'object' || Array.isArray(m)) return { '': 'Must be a JSON object' };
+  const errors = {};
+  const allowed = ['id', 'name', 'emoji', 'role', 'pin', 'greeting', 'reactions'];
+  for (const key of Object.keys(m)) {
+    if (!allowed.includes(key)) errors[key] = 'Unknown field';
+  }
+  const need = key => !partial || m[key] !== undefined;
+  if (need('id') && !(typeof m.id === 'string' && /^[a-z0-9_-]{1,32}$/.test(m.id))) {
+    errors.id = 'Expected 1–32 lowercase letters, digits, "-" or "_"';
+  }
+  if (m.id === AGENT_MEMBER.id) errors.id = `"${AGENT_MEMBER.id}" is reserved`;
+  if (need('name') && !(typeof m.name === 'string' && m.name.trim() && m.name.length <= 40)) {
+    errors.name = 'Must be a non-empty string of at most 40 characters';
+  }
+  if (need('emoji') && !(typeof m.emoji === 'string' && m.emoji.trim() && m.emoji.length <= 16)) {
+    errors.emoji = 'Must be a short non-empty string';
+  }
+  if (need('role') && !ROLES.includes(m.role)) errors.role = `Must be one of ${ROLES.join(', ')}`;
+  if (m.pin !== undefined && m.pin !== null && !(typeof m.pin === 'string' && m.pin.length >= 4 && m.pin.length <= 64)) {
+    errors.pin = 'Must be 4–64 characters (or null to remove)';
+  }
+  const role = m.role !== undefined ? m.role : current && current.role;
+  const hasPin = m.pin !== undefined ? m.pin !== null : Boolean(current && current.pinHash);
+  if (ROLES.includes(role) && role !== 'guest' && !hasPin && !errors.pin) {
+    errors.pin = 'Members and owners need a PIN';
+  }
+  if (m.greeting !== undefined && m.greeting !== null) {
+    const err = reactionError(m.greeting, moods);
+    if (err) errors.greeting = err;
+  }
+  if (m.reactions !== undefined && m.reactions !== null) {
+    if (!Array.isArray(m.reactions) || m.reactions.length > MAX_REACTIONS) {
+      errors.reactions = `Must be an array of at most ${MAX_REACTIONS} { mood, status } reactions (or null)`;
+    } else {
+      m.reactions.forEach((r, i) => {
+        const err = reactionError(r, moods);
+        if (err) errors[`reactions[${i}]`] = err;
+      });
+    }
+  }
+  return Object.keys(errors).length ? errors : null;
+}
+
+/**
+ * Create the identity store.
+ * @param {object} opts
+ * @param {string} opts.membersFile - data/members.json
+ * @param {string} opts.devicesFile - data/devices.json
+ * @param {string} opts.pinsFile - data/pins.json
+ * @param {string} [opts.agentToken] - Bearer token that authenticates the agent.
+ * @param {function(): number} [opts.now]
+ * @returns {object}
+ */
+function createIdentity({ membersFile, devicesFile, pinsFile, agentToken, now = () => Date.now() }) {
+  const agentHash = agentToken ? hashToken(agentToken) : null;
+
+  /** @returns {object} member id → pinHash */
+  function readPins() {
+    const doc = readJson(pinsFile, { pins: {} });
+    return doc.pins && typeof doc.pins === 'object' && !Array.isArray(doc.pins) ? doc.pins : {};
+  }
+
+  /** @returns {object[]} members.json as stored (a legacy pinHash may still be there). */
+  function readMembersFile() {
+    const doc = readJson(membersFile, { members: [] });
+    return Array.isArray(doc.members) ? doc.members : [];
+  }
+
+  /** @returns {object[]} Members with their stored fields, pinHash joined in from pins.json. */
+  function readMembers() {
+    const pins = readPins();
+    return readMembersFile().map(m => (Object.hasOwn(pins, m.id) ? { ...m, pinHash: pins[m.id] } : m));
+  }
+
+  /**
+   * Save members, splitting their PIN hashes out into pins.json.
+   * @param {object[]} members
+   */
+  function writeMembers(members) {
+    const pins = {};
+    for (const m of members) if (m.pinHash) pins[m.id] = m.pinHash;
+    writeJsonAtomic(pinsFile, { pins });
+    writeJsonAtomic(membersFile, { members: members.map(({ pinHash, ...rest }) => rest) });
+  }
+
+  // Move PIN hashes out of members.json (from before pins.json existed)
+  if (readMembersFile().some(m => m.pinHash)) {
+    const pins = readPins();
+    writeMembers(readMembersFile().map(m => (Object.hasOwn(pins, m.id) ? { ...m, pinHash: pins[m.id] } : m)));
+  }
+
+  /** @returns {object[]} Issued devices: { id, member, tokenHash, label, createdAt }. */
+  function readDevices() {
+    const doc = readJson(devicesFile, { devices: [] });
+    return Array.isArray(doc.devices) ? doc.devices : [];
+  }
+
+  function writeDevices(devices) {
+    writeJsonAtomic(devicesFile, { devices });
+  }
+
+  /**
+   * @param {string} id
+   * @returns {object|null} Stored member.
+   */
+  function getMember(id) {
+    return readMembers().find(m => m.id === id) || null;
+  }
+
+  /** @returns {object[]} Public member list. */
+  function listMembers() {
+    return readMembers().map(publicMember);
+  }
+
+  /**
+   * Would the household still have an owner after replacing `id` with `next`?
+   * A household that has none yet (a fresh install, where the agent token
+   * sets up the first owner) doesn't lose one.
+   * @param {string} id
+   * @param {object|null} next - Replacement member, or null when removing.
+   * @returns {boolean}
+   */
+  function keepsAnOwner(id, next) {
+    const before = readMembers();
+    if (!before.some(m => m.role === 'owner')) return true;
+    const members = before.filter(m => m.id !== id);
+    if (next) members.push(next);
+    return members.some(m => m.role === 'owner');
+  }
+
+  /**
+   * Apply a validated create/update body to a stored member.
+   * @param {object} base - Existing stored member ({} when creating).
+   * @param {object} body - Validated body (may contain pin).
+   * @returns {Promise<object>}
+   */
+  async function merge(base, body) {
+    const { pin, ...fields } = body;
+    const next = { ...base, ...fields };
+    for (const key of ['greeting', 'reactions']) {
+      if (next[key] === null || (Array.isArray(next[key]) && !next[key].length)) delete next[key];
+    }
+    if (pin === null) delete next.pinHash;
+    else if (pin !== undefined) next.pinHash = await hashPin(pin);
+    return next;
+  }
+
+  /**
+   * Add a member (caller validates and checks for duplicates).
+   * @param {object} body
+   * @returns {Promise<object>} Public member.
+   */
+  async function addMember(body) {
+    const member = await merge({}, body);
+    writeMembers([...readMembers(), member]);
+    return publicMember(member);
+  }
+
+  /**
+   * Update a member in place (caller validates).
+   * @param {string} id
+   * @param {object} body - Partial; `id` can't change.
+   * @returns {Promise<object>} Public member.
+   */
+  async function updateMember(id, body) {
+    const next = await merge(getMember(id), { ...body, id });
+    // Re-read after hashing so a concurrent write isn't lost
+    const members = readMembers();
+    const i = members.findIndex(m => m.id === id);
+    members[i] = next;
+    writeMembers(members);
+    return publicMember(members[i]);
+  }
+
+  /**
+   * Remove a member and revoke their devices.
+   * @param {string} id
+   */
+  function removeMember(id) {
+    writeMembers(readMembers().filter(m => m.id !== id));
+    writeDevices(readDevices().filter(d => d.member !== id));
+  }
+
+  /**
+   * Issue a new device token for a member.
+   * @param {string} memberId
+   * @param {string} [label] - e.g. the browser's user agent.
+   * @returns {object} { token, device } — the token is only ever returned here.
+   */
+  function issueToken(memberId, label = '') {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const device = {
+      id: crypto.randomBytes(6).toString('hex'),
+      member: memberId,
+      tokenHash: hashToken(token),
+      label: String(label).slice(0, 120),
+      createdAt: new Date(now()).toISOString()
+    };
+    writeDevices([...readDevices(), device]);
+    return { token, device: publicDevice(device) };
+  }
+
+  /**
+   * Who is making this request?
+   * @param {http.IncomingMessage} req
+   * @returns {object|null} { member, device } (device is null for the agent).
+   */
+  function identify(req) {
+    const token = tokenFrom(req);
+    if (!token) return null;
+    const hash = hashToken(token);
+    if (agentHash && hash === agentHash) return { member: AGENT_MEMBER, device: null };
+    const device = readDevices().find(d => d.tokenHash === hash);
+    if (!device) return null;
+    const member = getMember(device.member);
+    return member ? { member: publicMember(member), device: publicDevice(device) } : null;
+  }
+
+  /** Wrong-PIN bookkeeping: "member:<id>" / "ip:<addr>" → { misses, until, last }. */
+  const pinMisses = new Map();
+
+  /**
+   * How long these keys must wait before the next PIN try.
+   * @param {string[]} keys
+   * @returns {number} ms (0 = go ahead)
+   */
+  function pinWait(keys) {
+    const t = now();
+    return Math.max(0, ...keys.map(k => (pinMisses.get(k) || { until: 0 }).until - t));
+  }
+
+  /**
+   * Count a PIN try against each key, starting (or doubling) the backoff
+   * once the free attempts are used up. Long-idle keys are forgotten.
+   * @param {string[]} keys
+   */
+  function countPinTry(keys) {
+    const t = now();
+    for (const [k, v] of pinMisses) if (v.last < t - PIN_BACKOFF_MAX_MS * 2) pinMisses.delete(k);
+    for (const k of keys) {
+      const v = pinMisses.get(k) || { misses: 0, until: 0, last: t };
+      v.misses++;
+      v.last = t;
+      if (v.misses > PIN_FREE_ATTEMPTS) {
+        v.until = t + Math.min(PIN_BACKOFF_MS * 2 ** (v.misses - PIN_FREE_ATTEMPTS - 1), PIN_BACKOFF_MAX_MS);
+      }
+      pinMisses.set(k, v);
+    }
+  }
+
+  /**
+   * Check a member's PIN, limiting wrong guesses per member and per IP.
+   * While either is backing off the PIN isn't checked at all.
+   * @param {object} member - Stored member (with pinHash).
+   * @param {string} pin
+   * @param {string} ip - Caller's address.
+   * @returns {Promise<object>} { ok, retryAfterMs } — retryAfterMs > 0 when refused for now.
+   */
+  async function verifyPin(member, pin, ip) {
+    const keys = [`member:${member.id}`, `ip:${ip}`];
+    const wait = pinWait(keys);
+    if (wait) return { ok: false, retryAfterMs: wait };
+    // Counted before checking, so parallel guesses can't slip past the limit
+    countPinTry(keys);
+    const ok = await checkPin(pin, member.pinHash);
+    if (ok) keys.forEach(k => pinMisses.delete(k));
+    return { ok, retryAfterMs: 0 };
+  }
+
+  /** @returns {object[]} Devices without their token hashes. */
+  function listDevices() {
+    return readDevices().map(publicDevice);
+  }
+
+  /**
+   * Revoke one device.
+   * @param {string} id
+   * @returns {boolean} false if there was no such device.
+   */
+  function revokeDevice(id) {
+    const devices = readDevices();
+    const next = devices.filter(d => d.id !== id);
+    if (next.length === devices.length) return false;
+    writeDevices(next);
+    return true;
+  }
+
+  return {
+    listMembers, getMember, addMember, updateMember, removeMember, keepsAnOwner,
+    verifyPin, issueToken, identify, listDevices, revokeDevice
+  };
+}
+
+/**
+ * Device as shown to clients.
+ * @param {object} d
+ * @returns {object}
+ */
+function publicDevice(d) {
+  const { tokenHash, ...rest } = d;
+  return rest;
+}
+
+module.exports = {
+  ROLES,
+  createIdentity,
+  validateMember,
+  canClaim,
+  hasRole,
+  tokenCookie
+};
@@ -0,0 +1,42 @@
+/**
+ * ============================================================================
+ * File:     dashboard/lib/json-file.js
+ * Purpose:  Small helpers for the JSON files under data/ and rooms/
+ *
+ * writeJsonAtomic() writes to a temp file in the same directory and renames
+ * it into place, so readers (the dashboard, the agent, the file watcher)
+ * never see a half-written file.
+ *
+ * Dependencies: None — Node.js built-ins only.
+ * ============================================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Read and parse a JSON file, returning a fallback if it is missing or invalid.
+ * @param {string} file - Absolute path.
+ * @param {*} fallback - Returned when the file can't be read or parsed.
+ * @returns {*} Parsed contents or the fallback.
+ */
+function readJson(file, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * Write pretty-printed JSON atomically (temp file + rename).
+ * @param {string} file - Absolute path.
+ * @param {*} data - JSON-serialisable value.
+ */
+function writeJsonAtomic(file, data) {
+  const tmp = path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}.tmp`);
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2) + '\n');
+  fs.renameSync(tmp, file);
+}
+
+module.exports = { readJson, writeJsonAtomic };
@@ -0,0 +1,278 @@
+/**
+ * ============================================================================
+ * File:     dashboard/lib/mood-log.js
+ * Purpose:  State transition history (data/mood-log.jsonl)
+ *
+ * Every change to Claudron's mood, room, location or status is appended as
+ * one JSON line:
+ *
+ *   { "ts": "2026-03-01T08:00:00.000Z", "source": "reaction",
+ *     "from": { "mood": "sleeping", "room": "bedroom", ... },
+ *     "to":   { "mood": "happy",    "room": "bedroom", ... } }
+ *
+ * Sources:
+ *   agent     — the agent/automation (API write or direct state.json edit)
+ *   touch     — someone dragged or swiped Claudron on the dashboard
+ *   reaction  — a temporary touch reaction was applied
+ *   revert    — a reaction expired and state was restored
+ *   scheduler — the daily routine moved Claudron
+ *
+ * query() reads the log back with time/source filters and offset
+ * pagination; summarize() turns one day of it into time spent per mood
+ * and per room.
+ *
+ * The file is read once; after that the log is served from memory and
+ * only appended to. Entries older than `maxAgeMs` (30 days) or beyond the
+ * newest `maxEntries` are dropped when the file is compacted, which
+ * happens in batches rather than on every write.
+ *
+ * Dependencies: None — Node.js built-ins only.
+ * ============================================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/** State fields recorded in each entry. */
+const LOGGED_FIELDS = ['mood', 'room', 'location', 'status'];
+
+/** Valid values for an entry's `source`. */
+const SOURCES = ['agent', 'touch', 'reaction', 'revert', 'scheduler'];
+
+/** Retention: entries kept on disk, and how far back. */
+const DEFAULT_MAX_ENTRIES = 20000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_MAX_AGE_MS = 30 * DAY_MS;
+
+/** Default and maximum page size for query(). */
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+/**
+ * Copy the logged fields from a state object.
+ * @param {object} state
+ * @returns {object}
+ */
+function snapshot(state) {
+  const out = {};
+  for (const k of LOGGED_FIELDS) out[k] = state && state[k] !== undefined ? state[k] : null;
+  return out;
+}
+
+/**
+ * Parse a time filter — ISO string or epoch milliseconds.
+ * @param {string|undefined} value
+ * @returns {number|null|NaN} Epoch ms, null if absent, NaN if invalid.
+ */
+function parseTime(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (/^\d+$/.test(value)) return Number(value);
+  return Date.parse(value);
+}
+
+/**
+ * Create a mood log bound to a file.
+ * @param {object} opts
+ * @param {string} opts.file - Path to the .jsonl log.
+ * @param {function(): number} [opts.now] - Clock (epoch ms), for summaries.
+ * @param {number} [opts.maxEntries=20000]
+ * @param {number} [opts.maxAgeMs=30 days]
+ * @returns {object} { record, read, last, query, summarize }
+ */
+function createMoodLog({ file, now = () => Date.now(), maxEntries = DEFAULT_MAX_ENTRIES, maxAgeMs = DEFAULT_MAX_AGE_MS }) {
+  /** Entries oldest first, loaded from the file on first use. */
+  let entries = null;
+
+  /**
+   * Compact in batches: once the log is 10% over its cap, or its oldest
+   * entry is a day past the age limit.
+   * @returns {boolean}
+   */
+  function dueForCompaction() {
+    if (!entries.length) return false;
+    return entries.length > maxEntries + Math.ceil(maxEntries / 10) ||
+      Date.parse(entries[0].ts) < now() - maxAgeMs - DAY_MS;
+  }
+
+  /** Rewrite the file with only the entries within the retention limits. */
+  function compact() {
+    const cutoff = now() - maxAgeMs;
+    entries = entries.slice(-maxEntries).filter(e => Date.parse(e.ts) >= cutoff);
+    const tmp = path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}.tmp`);
+    try {
+      fs.writeFileSync(tmp, entries.map(e => JSON.stringify(e) + '\n').join(''));
+      fs.renameSync(tmp, file);
+    } catch (e) {
+      console.error('Mood log compaction failed:', e.message);
+    }
+  }
+
+  /**
+   * Every entry, oldest first (read from the file once). Corrupt lines are skipped.
+   * @returns {object[]} The live list — callers must not modify it.
+   */
+  function load() {
+    if (entries) return entries;
+    let raw = '';
+    try { raw = fs.readFileSync(file, 'utf8'); } catch {}
+    entries = [];
+    for (const line of raw.split('\n')) {
+      if (!line.trim()) continue;
+      try { entries.push(JSON.parse(line)); } catch {}
+    }
+    if (dueForCompaction()) compact();
+    return entries;
+  }
+
+  /**
+   * Append a transition if any logged field actually changed.
+   * @param {string} source - One of SOURCES.
+   * @param {object} prev - State before the change.
+   * @param {object} next - State after the change.
+   * @returns {object|null} The entry written, or null if nothing changed.
+   */
+  function record(source, prev, next) {
+    const from = snapshot(prev);
+    const to = snapshot(next);
+    if (LOGGED_FIELDS.every(k => from[k] === to[k])) return null;
+    const entry = { ts: new Date(now()).toISOString(), source, from, to };
+    load().push(entry);
+    try {
+      fs.appendFileSync(file, JSON.stringify(entry) + '\n');
+    } catch (e) {
+      console.error('Mood log write failed:', e.message);
+    }
+    if (dueForCompaction()) compact();
+    return entry;
+  }
+
+  /**
+   * Every entry, oldest first.
+   * @returns {object[]} A copy.
+   */
+  function read() {
+    return load().slice();
+  }
+
+  /**
+   * The newest entry matching a filter, found by scanning backwards.
+   * @param {function(object): boolean} [filter]
+   * @returns {object|null}
+   */
+  function last(filter = () => true) {
+    const all = load();
+    for (let i = all.length - 1; i >= 0; i--) {
+      if (filter(all[i])) return all[i];
+    }
+    return null;
+  }
+
+  /**
+   * Filtered, paginated view of the log (oldest first).
+   * @param {object} params
+   * @param {string} [params.since] - ISO time or epoch ms (inclusive).
+   * @param {string} [params.until] - ISO time or epoch ms (exclusive).
+   * @param {string} [params.source] - Comma-separated sources.
+   * @param {string|number} [params.limit]
+   * @param {string|number} [params.offset]
+   * @returns {object} { entries, total, offset, limit, nextOffset }
+   * @throws {Error} with `.field` set when a parameter is invalid.
+   */
+  function query(params = {}) {
+    const since = parseTime(params.since);
+    const until = parseTime(params.until);
+    const invalid = (field, message) => Object.assign(new Error(message), { field });
+    if (Number.isNaN(since)) throw invalid('since', 'Invalid time');
+    if (Number.isNaN(until)) throw invalid('until', 'Invalid time');
+
+    let sources = null;
+    if (params.source) {
+      sources = String(params.source).split(',').map(s => s.trim()).filter(Boolean);
+      const bad = sources.find(s => !SOURCES.includes(s));
+      if (bad) throw invalid('source', `Unknown source "${bad}"`);
+    }
+
+    const limit = params.limit === undefined ? DEFAULT_LIMIT : Number(params.limit);
+    const offset = params.offset === undefined ? 0 : Number(params.offset);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      throw invalid('limit', `Must be an integer from 1 to ${MAX_LIMIT}`);
+    }
+    if (!Number.isInteger(offset) || offset < 0) throw invalid('offset', 'Must be a non-negative integer');
+
+    const matches = load().filter(e => {
+      const t = Date.parse(e.ts);
+      if (since !== null && t < since) return false;
+      if (until !== null && t >= until) return false;
+      if (sources && !sources.includes(e.source)) return false;
+      return true;
+    });
+    const page = matches.slice(offset, offset + limit);
+    const nextOffset = offset + page.length < matches.length ? offset + page.length : null;
+    return { entries: page, total: matches.length, offset, limit, nextOffset };
+  }
+
+  /**
+   * Time spent per mood and per room over one local calendar day.
+   * The state at midnight is carried over from the last entry before it
+   * (or, failing that, the "from" side of the day's first entry).
+   * @param {string} [date] - YYYY-MM-DD (server local time); defaults to today.
+   * @returns {object} { date, start, end, moods: {name: seconds}, rooms: {name: seconds} }
+   * @throws {Error} with `.field = 'date'` when the date is invalid.
+   */
+  function summarize(date) {
+    let dayStart;
+    if (date) {
+      const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(date);
+      if (!m) throw Object.assign(new Error('Expected YYYY-MM-DD'), { field: 'date' });
+      dayStart = new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3])).getTime();
+    } else {
+      const d = new Date(now());
+      dayStart = new Date(d.getFullYear(), d.getMonth(), d.getDate()).getTime();
+    }
+    const next = new Date(dayStart);
+    next.setDate(next.getDate() + 1);
+    const dayEnd = Math.min(next.getTime(), now());
+
+    const moods = {};
+    const rooms = {};
+    const add = (bucket, key, ms) => {
+      if (key === null || ms <= 0) return;
+      bucket[key] = (bucket[key] || 0) + ms;
+    };
+
+    let current = null;   // state in effect at `cursor`
+    let cursor = dayStart;
+    for (const e of load()) {
+      const t = Date.parse(e.ts);
+      if (t >= dayEnd) break;
+      if (t > dayStart) {
+        // No earlier entries: the first change's "from" was in effect until then
+        if (!current) current = e.from;
+        add(moods, current.mood, t - cursor);
+        add(rooms, current.room, t - cursor);
+        cursor = t;
+      }
+      current = e.to;
+    }
+    if (current && dayEnd > cursor) {
+      add(moods, current.mood, dayEnd - cursor);
+      add(rooms, current.room, dayEnd - cursor);
+    }
+
+    const toSeconds = bucket => Object.fromEntries(
+      Object.entries(bucket).map(([k, ms]) => [k, Math.round(ms / 1000)]));
+    const d = new Date(dayStart);
+    const label = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+    return {
+      date: label,
+      start: new Date(dayStart).toISOString(),
+      end: new Date(Math.max(dayStart, dayEnd)).toISOString(),
+      moods: toSeconds(moods),
+      rooms: toSeconds(rooms)
+    };
+  }
+
+  return { record, read, last, query, summarize };
+}
+
+module.exports = { createMoodLog, SOURCES, LOGGED_FIELDS };
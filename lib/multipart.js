@@ -0,0 +1,118 @@
+/**
+ * ============================================================================
+ * File:     dashboard/lib/multipart.js
+ * Purpose:  Read a multipart/form-data request body (file uploads)
+ *
+ * Just enough of RFC 7578 for the room wallpaper upload: text fields and
+ * files, buffered in memory up to a size limit. Errors are HttpErrors, so
+ * route handlers can simply await it:
+ *
+ *   const { fields, files } = await readMultipartBody(req, { maxBytes: 10 * 1024 * 1024 });
+ *   fields.name;                  // "Library"
+ *   files.wallpaper;              // { filename, contentType, data: Buffer }
+ *
+ * Dependencies: ./router (HttpError)
+ * ============================================================================
+ */
+
+const { HttpError, badRequest } = require('./router');
+
+/**
+ * Is this request a multipart/form-data upload?
+ * @param {http.IncomingMessage} req
+ * @returns {boolean}
+ */
+function isMultipart(req) {
+  return /^multipart\/form-data\b/i.test(req.headers['content-type'] || '');
+}
+
+/**
+ * Buffer a request body, refusing anything over the limit.
+ * @param {http.IncomingMessage} req
+ * @param {number} maxBytes
+ * @returns {Promise<Buffer>}
+ */
+function readRawBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const onData = chunk => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        // Stop reading; the router answers the 413 and then closes the connection
+        req.off('data', onData);
+        req.pause();
+        reject(new HttpError(413, 'body_too_large', `Body exceeds ${maxBytes} bytes`));
+        return;
+      }
+      chunks.push(chunk);
+    };
+    req.on('data', onData);
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Parse one part's header block.
+ * @param {string} block - Lines up to the blank line.
+ * @returns {object} { name, filename, contentType }
+ */
+function parsePartHeaders(block) {
+  const out = { name: null, filename: null, contentType: 'text/plain' };
+  for (const line of block.split('\r\n')) {
+    const colon = line.indexOf(':');
+    if (colon < 0) continue;
+    const key = line.slice(0, colon).trim().toLowerCase();
+    const value = line.slice(colon + 1).trim();
+    if (key === 'content-disposition') {
+      const name = /\bname="([^"]*)"/i.exec(value);
+      const filename = /\bfilename="([^"]*)"/i.exec(value);
+      if (name) out.name = name[1];
+      if (filename) out.filename = filename[1];
+    } else if (key === 'content-type') {
+      out.contentType = value;
+    }
+  }
+  return out;
+}
+
+/**
+ * Read and parse a multipart/form-data body.
+ * @param {http.IncomingMessage} req
+ * @param {object} [opts]
+ * @param {number} [opts.maxBytes=10485760] - Whole-body limit (413 beyond it).
+ * @returns {Promise<object>} { fields: name → string, files: name → { filename, contentType, data } }
+ * @throws {HttpError} 400 if the body isn't well-formed multipart, 413 if too large.
+ */
+async function readMultipartBody(req, { maxBytes = 10 * 1024 * 1024 } = {}) {
+  const type = req.headers['content-type'] || '';
+  const match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(type);
+  if (!isMultipart(req) || !match) throw badRequest('Expected a multipart/form-data body');
+  const boundary = Buffer.from(`--${match[1] || match[2].trim()}`);
+  const body = await readRawBody(req, maxBytes);
+
+  const fields = {};
+  const files = {};
+  let pos = body.indexOf(boundary);
+  if (pos < 0) throw badRequest('Malformed multipart body (no boundary)');
+  for (;;) {
+    pos += boundary.length;
+    // "--" after a boundary ends the body
+    if (body.slice(pos, pos + 2).toString() === '--') break;
+    pos += 2; // CRLF after the boundary line
+    const headerEnd = body.indexOf('\r\n\r\n', pos);
+    const next = body.indexOf(boundary, pos);
+    if (headerEnd < 0 || next < 0 || headerEnd > next) throw badRequest('Malformed multipart body');
+    const part = parsePartHeaders(body.slice(pos, headerEnd).toString('utf8'));
+    const data = body.slice(headerEnd + 4, next - 2); // drop the CRLF before the boundary
+    if (part.name) {
+      if (part.filename !== null) files[part.name] = { filename: part.filename, contentType: part.contentType, data };
+      else fields[part.name] = data.toString('utf8');
+    }
+    pos = next;
+  }
+  return { fields, files };
+}
+
+module.exports = { readMultipartBody, isMultipart };
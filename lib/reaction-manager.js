@@ -0,0 +1,187 @@
+/**
+ * ============================================================================
+ * File:     dashboard/lib/reaction-manager.js
+ * Purpose:  Temporary state overlays ("reactions") with automatic revert
+ *
+ * Touch reactions, the "one sec... 💭" wake bubble and spatial lookups all
+ * want the same thing: show something for a few seconds, then put Claudron
+ * back the way the agent left him. This module owns that logic.
+ *
+ * Model:
+ *   - The first reaction captures the agent's real mood/status/location
+ *     as the *base*.
+ *   - Each reaction is an *overlay* (a partial state) with its own TTL,
+ *     pushed onto a stack. The visible state is base + overlays, newest
+ *     on top, so overlapping reactions restore correctly as each expires.
+ *   - When the last overlay expires, the base is written back.
+ *   - If anything else writes state in the meantime (the agent via the API
+ *     or by editing state.json), the reactions are dropped without
+ *     reverting — a real state always wins over a reaction.
+ *
+ * Usage:
+ *   const reactions = createReactionManager({ readState, writeState });
+ *   reactions.push({ mood: 'happy', status: 'hey! 💜' }, 5000);
+ *   reactions.cancel();  // agent wrote a real state
+ *
+ * Pass `clock` ({ now, setTimeout, clearTimeout }) to drive it from a fake
+ * clock in tests.
+ *
+ * Dependencies: None.
+ * ============================================================================
+ */
+
+/** State fields a reaction may override (and that get restored). */
+const OVERLAY_FIELDS = ['mood', 'status', 'location'];
+
+/** Fields compared to decide whether someone else has written state. */
+const WATCHED_FIELDS = ['mood', 'status', 'location', 'room'];
+
+/** Default clock — real time. */
+const SYSTEM_CLOCK = {
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (handle) => clearTimeout(handle)
+};
+
+/**
+ * Copy only the given keys that are present on obj.
+ * @param {object} obj
+ * @param {string[]} keys
+ * @returns {object}
+ */
+function pick(obj, keys) {
+  const out = {};
+  for (const k of keys) if (obj[k] !== undefined) out[k] = obj[k];
+  return out;
+}
+
+/**
+ * True if a and b agree on every watched field.
+ * @param {object} a
+ * @param {object} b
+ * @returns {boolean}
+ */
+function sameState(a, b) {
+  return WATCHED_FIELDS.every(k => a[k] === b[k]);
+}
+
+/**
+ * Create a reaction manager.
+ * @param {object} opts
+ * @param {function(): object} opts.readState - Returns the current state.
+ * @param {function(object, string)} opts.writeState - Persists a full state
+ *   object; the second argument is the write source, 'reaction' or 'revert'.
+ * @param {object} [opts.clock] - { now, setTimeout, clearTimeout }.
+ * @returns {object} { push, cancel, active, baseState }
+ */
+function createReactionManager({ readState, writeState, clock = SYSTEM_CLOCK }) {
+  /** Agent state captured before the first overlay. Null when idle. */
+  let base = null;
+
+  /** Active overlays, oldest first: { id, patch, expiresAt }. */
+  let stack = [];
+
+  /** The last full state we wrote — used to detect outside writes. */
+  let lastWritten = null;
+
+  /** Handle for the next-expiry timer. */
+  let timer = null;
+
+  let nextId = 1;
+
+  function reset() {
+    if (timer) clock.clearTimeout(timer);
+    timer = null;
+    base = null;
+    stack = [];
+    lastWritten = null;
+  }
+
+  /** Has someone other than us written state since our last write? */
+  function overwrittenExternally(current) {
+    return lastWritten !== null && !sameState(current, lastWritten);
+  }
+
+  /**
+   * Write base + overlays (or just base when the stack is empty).
+   * @param {object} current - State as it is on disk now.
+   * @param {string} source - 'reaction' or 'revert', passed to writeState.
+   */
+  function render(current, source) {
+    const next = { ...current, ...base };
+    for (const o of stack) Object.assign(next, o.patch);
+    if (!stack.length) {
+      // Restoring: drop any field the base never had (e.g. a location
+      // a spatial reaction added to a state that had none)
+      for (const k of OVERLAY_FIELDS) if (base[k] === undefined) delete next[k];
+    }
+    if (!sameState(next, current)) writeState(next, source);
+    lastWritten = next;
+  }
+
+  function schedule() {
+    if (timer) clock.clearTimeout(timer);
+    timer = null;
+    if (!stack.length) return;
+    const soonest = Math.min(...stack.map(o => o.expiresAt));
+    timer = clock.setTimeout(expire, Math.max(0, soonest - clock.now()));
+  }
+
+  function expire() {
+    timer = null;
+    let current;
+    try { current = readState(); } catch { reset(); return; }
+    if (overwrittenExternally(current)) { reset(); return; }
+
+    const now = clock.now();
+    stack = stack.filter(o => o.expiresAt > now);
+    try { render(current, 'revert'); } catch {}
+    if (stack.length) schedule();
+    else reset();
+  }
+
+  /**
+   * Show a temporary overlay.
+   * @param {object} patch - Partial state ({ mood, status, location }).
+   * @param {number} ttlMs - How long it stays before reverting.
+   * @returns {number} Reaction id.
+   */
+  function push(patch, ttlMs) {
+    const current = readState();
+    if (stack.length && overwrittenExternally(current)) reset();
+    if (!base) base = pick(current, OVERLAY_FIELDS);
+
+    const id = nextId++;
+    stack.push({ id, patch: pick(patch, OVERLAY_FIELDS), expiresAt: clock.now() + ttlMs });
+    render(current, 'reaction');
+    schedule();
+    return id;
+  }
+
+  /**
+   * Drop all overlays without reverting — call when a real state is written.
+   */
+  function cancel() {
+    reset();
+  }
+
+  /**
+   * Currently active overlays (for debugging/status).
+   * @returns {object[]} [{ id, patch, expiresAt }]
+   */
+  function active() {
+    return stack.map(o => ({ ...o }));
+  }
+
+  /**
+   * The agent's mood/status/location underneath the active overlays.
+   * @returns {object|null} Null when no reaction is showing.
+   */
+  function baseState() {
+    return base ? { ...base } : null;
+  }
+
+  return { push, cancel, active, baseState };
+}
+
+module.exports = { createReactionManager, OVERLAY_FIELDS };
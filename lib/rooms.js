@@ -0,0 +1,394 @@
+/**
+ * ============================================================================
+ * File:     dashboard/lib/rooms.js
+ * Purpose:  Room directories under rooms/ — list, create, clone, edit, delete
+ *
+ * A room is a directory rooms/<id>/ holding config.json and wallpaper.png:
+ *
+ *   { "name": "Bedroom", "emoji": "🛏️", "wallpaper": "wallpaper.png",
+ *     "default": "bed", "locations": { "bed": { "x": 0.61, "y": 0.72, ... } } }
+ *
+ * The directory is the room list: anything with a config.json is a room.
+ * Locations may also carry metadata for when he's there: a default `mood`,
+ * a `statusPool` to pick his status from, a `scale` (smaller far away), a
+ * `zIndex` among the room's layers and a foreground `mask` — the part of
+ * the wallpaper drawn over him, so he can stand behind the bed.
+ * `exits` are its doorways to other rooms — a location here, the room it
+ * leads to, the location he enters at and how the view changes over:
+ *
+ *   "exits": [{ "location": "path_end", "room": "workshop", "entry": "stool",
+ *               "transition": "slide" }]
+ *
+ * Wallpapers are PNGs at the dashboard's native size (WALLPAPER_SIZE) —
+ * the room view and the editor both assume that aspect ratio.
+ *
+ * New rooms are assembled in a dot-directory and renamed into place, so a
+ * half-written room never shows up in the list.
+ *
+ * Usage:
+ *   const rooms = createRooms({ dir: path.join(DASH_DIR, 'rooms') });
+ *   rooms.list();                                            // ['bedroom', ...]
+ *   rooms.create({ id: 'library', name: 'Library', wallpaper: pngBuffer });
+ *   rooms.create({ id: 'attic', from: 'bedroom' });          // clone
+ *
+ * Dependencies: ./json-file, ./state-schema
+ * ============================================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { writeJsonAtomic } = require('./json-file');
+const { MAX_STATUS_LENGTH } = require('./state-schema');
+
+/** Room ids: directory names, and the /rooms/<id>/wallpaper.png URL segment. */
+const ROOM_ID_PATTERN = /^[a-z0-9_-]{1,32}$/;
+
+/** Native wallpaper size (px); every room is drawn at this aspect ratio. */
+const WALLPAPER_SIZE = { width: 1584, height: 672 };
+
+/** Largest wallpaper upload accepted. */
+const MAX_WALLPAPER_BYTES = 8 * 1024 * 1024;
+
+/** Editable room fields and their limits. */
+const MAX_NAME = 40;
+const MAX_EMOJI = 16;
+
+/** How the view changes over when he walks through an exit. */
+const TRANSITIONS = ['crossfade', 'slide'];
+
+/** Location names: config.json keys, and the :loc URL segment. */
+const LOCATION_NAME_PATTERN = /^[a-z0-9_-]{1,40}$/;
+
+/** Location fields PUT /api/room/:name/location/:loc accepts. */
+const LOCATION_FIELDS = ['x', 'y', 'facing', 'rotation', 'emoji', 'mood', 'statusPool', 'scale', 'zIndex', 'mask'];
+
+/** Limits for location metadata. */
+const SCALE_RANGE = [0.2, 3];
+const Z_INDEX_RANGE = [0, 9];
+const MAX_STATUS_POOL = 20;
+
+/** Location a brand-new (not cloned) room starts with. */
+const STARTER_LOCATION = { x: 0.5, y: 0.75, facing: 'right', rotation: 0, emoji: '📍' };
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * Read a PNG's dimensions from its IHDR chunk.
+ * @param {Buffer} buf
+ * @returns {object|null} { width, height }, or null if it isn't a PNG.
+ */
+function pngSize(buf) {
+  if (!Buffer.isBuffer(buf) || buf.length < 24 || !buf.subarray(0, 8).equals(PNG_SIGNATURE)) return null;
+  if (buf.toString('ascii', 12, 16) !== 'IHDR') return null;
+  return { width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) };
+}
+
+/**
+ * Validate an uploaded wallpaper.
+ * @param {Buffer} buf
+ * @returns {string|null} Error message, or null if it's usable.
+ */
+function validateWallpaper(buf) {
+  if (buf.length > MAX_WALLPAPER_BYTES) return `Must be at most ${MAX_WALLPAPER_BYTES / 1024 / 1024} MB`;
+  const size = pngSize(buf);
+  if (!size) return 'Must be a PNG image';
+  if (size.width !== WALLPAPER_SIZE.width || size.height !== WALLPAPER_SIZE.height) {
+    return `Must be ${WALLPAPER_SIZE.width}×${WALLPAPER_SIZE.height} px (got ${size.width}×${size.height})`;
+  }
+  return null;
+}
+
+/**
+ * Validate room fields (create or PATCH).
+ * @param {object} body - { name?, emoji?, default? }
+ * @param {object} [opts]
+ * @param {string[]} [opts.locations] - Existing locations; `default` must be one of them.
+ * @param {string[]} [opts.extra] - Other fields the caller accepts.
+ * @returns {object|null} Map of field → error message, or null if valid.
+ */
+function validateRoomFields(body, { locations, extra = [] } = {}) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) return { '': 'Must be a JSON object' };
+  const errors = {};
+  for (const key of Object.keys(body)) {
+    if (!['name', 'emoji', 'default', ...extra].includes(key)) errors[key] = 'Unknown field';
+  }
+  const text = (key, max) => {
+    const v = body[key];
+    if (v !== undefined && !(typeof v === 'string' && v.trim() && v.length <= max)) {
+      errors[key] = `Must be 1–${max} characters`;
+    }
+  };
+  text('name', MAX_NAME);
+  text('emoji', MAX_EMOJI);
+  text('default', MAX_NAME);
+  if (!errors.default && body.default !== undefined && locations && !locations.includes(body.default)) {
+    errors.default = `Unknown location "${body.default}"`;
+  }
+  return Object.keys(errors).length ? errors : null;
+}
+
+/**
+ * Validate a location update. Metadata fields are cleared with '' (mood),
+ * [] (statusPool) or null (scale, zIndex, mask).
+ * @param {object} body - Some of LOCATION_FIELDS.
+ * @param {object} ctx
+ * @param {string[]} ctx.moods - Valid mood names.
+ * @returns {object|null} Map of field → error message, or null if valid.
+ */
+function validateLocationFields(body, { moods }) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) return { '': 'Must be a JSON object' };
+  const errors = {};
+  const isNum = v => typeof v === 'number' && Number.isFinite(v);
+  const inRange = (v, [min, max]) => isNum(v) && v >= min && v <= max;
+  for (const key of Object.keys(body)) {
+    if (!LOCATION_FIELDS.includes(key)) errors[key] = 'Unknown field';
+  }
+  for (const key of ['x', 'y']) {
+    if (body[key] !== undefined && !inRange(body[key], [0, 1])) errors[key] = 'Must be a number from 0 to 1';
+  }
+  if (body.facing !== undefined && !['left', 'right'].includes(body.facing)) errors.facing = 'Must be "left" or "right"';
+  if (body.rotation !== undefined && !isNum(body.rotation)) errors.rotation = 'Must be a number (degrees)';
+  if (body.emoji !== undefined && !(typeof body.emoji === 'string' && body.emoji && body.emoji.length <= MAX_EMOJI)) {
+    errors.emoji = `Must be 1–${MAX_EMOJI} characters`;
+  }
+  if (body.mood !== undefined && body.mood !== '' && !moods.includes(body.mood)) errors.mood = `Unknown mood "${body.mood}"`;
+  if (body.statusPool !== undefined) {
+    const pool = body.statusPool;
+    if (!Array.isArray(pool) || pool.length > MAX_STATUS_POOL) {
+      errors.statusPool = `Must be an array of up to ${MAX_STATUS_POOL} statuses`;
+    } else {
+      pool.forEach((status, i) => {
+        if (!(typeof status === 'string' && status.trim() && status.length <= MAX_STATUS_LENGTH)) {
+          errors[`statusPool[${i}]`] = `Must be 1–${MAX_STATUS_LENGTH} characters`;
+        }
+      });
+    }
+  }
+  if (body.scale != null && !inRange(body.scale, SCALE_RANGE)) {
+    errors.scale = `Must be a number from ${SCALE_RANGE[0]} to ${SCALE_RANGE[1]}`;
+  }
+  if (body.zIndex != null && !(Number.isInteger(body.zIndex) && inRange(body.zIndex, Z_INDEX_RANGE))) {
+    errors.zIndex = `Must be a whole number from ${Z_INDEX_RANGE[0]} to ${Z_INDEX_RANGE[1]}`;
+  }
+  if (body.mask != null) {
+    const m = body.mask;
+    const ok = m && typeof m === 'object' && ['x', 'y', 'w', 'h'].every(k => inRange(m[k], [0, 1])) &&
+      Object.keys(m).length === 4 && m.w > 0 && m.h > 0 && m.x + m.w <= 1 + 1e-9 && m.y + m.h <= 1 + 1e-9;
+    if (!ok) errors.mask = 'Must be { x, y, w, h } within the room (fractions 0–1)';
+  }
+  return Object.keys(errors).length ? errors : null;
+}
+
+/**
+ * Apply a validated location update, dropping cleared metadata.
+ * @param {object} loc - The location (mutated).
+ * @param {object} body - From validateLocationFields().
+ * @returns {object} loc
+ */
+function applyLocationFields(loc, body) {
+  for (const key of LOCATION_FIELDS) {
+    if (body[key] === undefined) continue;
+    const cleared = body[key] === null || body[key] === '' || (Array.isArray(body[key]) && !body[key].length);
+    if (cleared) delete loc[key];
+    else loc[key] = body[key];
+  }
+  return loc;
+}
+
+/**
+ * Validate a room's exits.
+ * @param {Array} exits - [{ location, room, entry, transition? }, ...]
+ * @param {object} ctx
+ * @param {string} ctx.room - The room they belong to (an exit can't lead back into it).
+ * @param {string[]} ctx.locations - That room's location names.
+ * @param {function} ctx.roomLocations - id → location names, or null if there's no such room.
+ * @returns {object|null} Map of field path → error message, or null if valid.
+ */
+function validateExits(exits, { room, locations, roomLocations }) {
+  if (!Array.isArray(exits)) return { exits: 'Must be an array of exits' };
+  const errors = {};
+  exits.forEach((exit, i) => {
+    const at = `exits[${i}]`;
+    if (!exit || typeof exit !== 'object' || Array.isArray(exit)) {
+      errors[at] = 'Must be an object';
+      return;
+    }
+    for (const key of Object.keys(exit)) {
+      if (!['location', 'room', 'entry', 'transition'].includes(key)) errors[`${at}.${key}`] = 'Unknown field';
+    }
+    if (!locations.includes(exit.location)) errors[`${at}.location`] = `Unknown location "${exit.location}"`;
+    const target = typeof exit.room !== 'string' || exit.room === room ? null : roomLocations(exit.room);
+    if (exit.room === room) errors[`${at}.room`] = 'Must lead to another room';
+    else if (!target) errors[`${at}.room`] = `Unknown room "${exit.room}"`;
+    else if (typeof exit.entry !== 'string' || !target.includes(exit.entry)) errors[`${at}.entry`] = `Unknown location "${exit.entry}" in ${exit.room}`;
+    if (exit.transition !== undefined && !TRANSITIONS.includes(exit.transition)) {
+      errors[`${at}.transition`] = `Must be one of: ${TRANSITIONS.join(', ')}`;
+    }
+  });
+  return Object.keys(errors).length ? errors : null;
+}
+
+/**
+ * Create the room store.
+ * @param {object} opts
+ * @param {string} opts.dir - The rooms/ directory.
+ * @returns {object} { list, exists, read, write, summary, wallpaperPath, create, update, remove, dropExits }
+ */
+function createRooms({ dir }) {
+  const roomDir = id => path.join(dir, id);
+  const configPath = id => path.join(roomDir(id), 'config.json');
+
+  /** @returns {string[]} Room ids (directories with a config.json). */
+  function list() {
+    try {
+      return fs.readdirSync(dir, { withFileTypes: true })
+        .filter(d => d.isDirectory() && ROOM_ID_PATTERN.test(d.name) && fs.existsSync(configPath(d.name)))
+        .map(d => d.name);
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * @param {string} id
+   * @returns {boolean}
+   */
+  function exists(id) {
+    return typeof id === 'string' && ROOM_ID_PATTERN.test(id) && fs.existsSync(configPath(id));
+  }
+
+  /**
+   * Read a room's config.json.
+   * @param {string} id
+   * @returns {object}
+   */
+  function read(id) {
+    return JSON.parse(fs.readFileSync(configPath(id), 'utf8'));
+  }
+
+  /**
+   * Write a room's config.json (pretty-printed).
+   * @param {string} id
+   * @param {object} cfg
+   */
+  function write(id, cfg) {
+    writeJsonAtomic(configPath(id), cfg);
+  }
+
+  /**
+   * @param {string} id
+   * @returns {string} Path of the room's wallpaper file (may not exist).
+   */
+  function wallpaperPath(id) {
+    let file = 'wallpaper.png';
+    try { file = path.basename(read(id).wallpaper || file); } catch { /* default */ }
+    return path.join(roomDir(id), file);
+  }
+
+  /**
+   * What GET /api/rooms shows for a room.
+   * @param {string} id
+   * @returns {object} { id, name, emoji, default, locations, wallpaper }
+   */
+  function summary(id) {
+    const cfg = read(id);
+    return {
+      id,
+      name: cfg.name || id,
+      emoji: cfg.emoji || null,
+      default: cfg.default || null,
+      locations: Object.keys(cfg.locations || {}),
+      wallpaper: fs.existsSync(wallpaperPath(id)) ? `/rooms/${id}/wallpaper.png` : null
+    };
+  }
+
+  /**
+   * Create a room, optionally as a copy of another (locations, weather
+   * regions and all). The caller checks the id is free and validates.
+   * @param {object} spec
+   * @param {string} spec.id
+   * @param {string} [spec.name]
+   * @param {string} [spec.emoji]
+   * @param {string} [spec.default] - Default location (new rooms: the starter location's name).
+   * @param {Buffer} [spec.wallpaper] - PNG; a clone keeps its source's otherwise.
+   * @param {string} [spec.from] - Room to clone.
+   * @returns {object} summary()
+   */
+  function create({ id, name, emoji, default: defaultLocation, wallpaper, from }) {
+    let cfg;
+    if (from) {
+      cfg = JSON.parse(JSON.stringify(read(from)));
+    } else {
+      const start = defaultLocation || 'center';
+      cfg = { name: id, emoji: '🏠', default: start, locations: { [start]: { ...STARTER_LOCATION } } };
+    }
+    if (name !== undefined) cfg.name = name;
+    if (emoji !== undefined) cfg.emoji = emoji;
+    if (defaultLocation !== undefined) cfg.default = defaultLocation;
+    cfg.wallpaper = 'wallpaper.png';
+
+    const tmp = path.join(dir, `.new-${id}-${process.pid}`);
+    fs.rmSync(tmp, { recursive: true, force: true });
+    fs.mkdirSync(tmp, { recursive: true });
+    try {
+      if (wallpaper) fs.writeFileSync(path.join(tmp, 'wallpaper.png'), wallpaper);
+      else if (from && fs.existsSync(wallpaperPath(from))) fs.copyFileSync(wallpaperPath(from), path.join(tmp, 'wallpaper.png'));
+      writeJsonAtomic(path.join(tmp, 'config.json'), cfg);
+      fs.renameSync(tmp, roomDir(id));
+    } catch (err) {
+      fs.rmSync(tmp, { recursive: true, force: true });
+      throw err;
+    }
+    return summary(id);
+  }
+
+  /**
+   * Change a room's name, emoji or default location (validated).
+   * @param {string} id
+   * @param {object} patch - { name?, emoji?, default? }
+   * @returns {object} The new config.
+   */
+  function update(id, patch) {
+    const cfg = read(id);
+    for (const key of ['name', 'emoji', 'default']) {
+      if (patch[key] !== undefined) cfg[key] = patch[key];
+    }
+    write(id, cfg);
+    return cfg;
+  }
+
+  /**
+   * Delete a room directory (wallpaper included).
+   * @param {string} id
+   */
+  function remove(id) {
+    fs.rmSync(roomDir(id), { recursive: true, force: true });
+  }
+
+  /**
+   * Remove exits from every room — the location or room they lead to is
+   * going away.
+   * @param {function} fn - (exit, id) → true to drop the exit.
+   * @returns {string[]} Rooms whose config changed.
+   */
+  function dropExits(fn) {
+    const changed = [];
+    for (const id of list()) {
+      const cfg = read(id);
+      if (!Array.isArray(cfg.exits)) continue;
+      const kept = cfg.exits.filter(exit => !fn(exit, id));
+      if (kept.length === cfg.exits.length) continue;
+      cfg.exits = kept;
+      write(id, cfg);
+      changed.push(id);
+    }
+    return changed;
+  }
+
+  return { list, exists, read, write, summary, wallpaperPath, create, update, remove, dropExits };
+}
+
+module.exports = {
+  createRooms, validateRoomFields, validateWallpaper, validateExits, validateLocationFields, applyLocationFields,
+  pngSize, ROOM_ID_PATTERN, WALLPAPER_SIZE, MAX_WALLPAPER_BYTES, TRANSITIONS, LOCATION_FIELDS, LOCATION_NAME_PATTERN
+};
@@ -0,0 +1,262 @@
+/**
+ * ============================================================================
+ * File:     dashboard/lib/router.js
+ * Purpose:  Minimal HTTP router + JSON response/error helpers
+ *
+ * Routes are matched on method and path (never the query string). Path
+ * segments starting with ":" are captured into `params`:
+ *
+ *   const router = createRouter();
+ *   router.get('/api/room/:name', ({ params, query, res }) => {
+ *     sendJson(res, 200, readRoomConfig(params.name));
+ *   });
+ *   router.add(['PATCH', 'PUT'], '/api/state', async ({ req, res }) => { ... });
+ *
+ *   if (await router.handle(req, res)) return;   // else: static files
+ *
+ * Handlers get { req, res, params, query, searchParams, pathname } and may
+ * be async. To fail a request, throw an HttpError — every error leaves the
+ * server in the same envelope:
+ *
+ *   { "error": { "code": "validation_failed", "message": "Invalid state",
+ *                "details": { "fields": { "mood": "Unknown mood" } } } }
+ *
+ * A path that matches a route but not its method gets 405 (with an Allow
+ * header); unmatched paths under `apiPrefix` get 404. Anything else is
+ * left to the caller. Unexpected exceptions become 500 `internal_error`.
+ * An error sent before the request body was read to the end (a 413 from
+ * readJsonBody(), say) goes out with `Connection: close`.
+ *
+ * Dependencies: None.
+ * ============================================================================
+ */
+
+/** Largest JSON body readJsonBody() will accept. */
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * An error with an HTTP status and a machine-readable code.
+ */
+class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP status code.
+   * @param {string} code - e.g. 'not_found', 'validation_failed'.
+   * @param {string} message - Human-readable message.
+   * @param {object} [details] - Extra context (e.g. { fields }).
+   */
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/** 400 bad_request. */
+function badRequest(message, details) {
+  return new HttpError(400, 'bad_request', message, details);
+}
+
+/** 401 unauthenticated — no (valid) identity on the request. */
+function unauthorized(message = 'Sign in first', details) {
+  return new HttpError(401, 'unauthenticated', message, details);
+}
+
+/** 403 forbidden — identified, but not allowed. */
+function forbidden(message = 'Not allowed', details) {
+  return new HttpError(403, 'forbidden', message, details);
+}
+
+/** 404 not_found. */
+function notFound(message = 'Not found', details) {
+  return new HttpError(404, 'not_found', message, details);
+}
+
+/** 409 conflict. */
+function conflict(message, details) {
+  return new HttpError(409, 'conflict', message, details);
+}
+
+/**
+ * 422 validation_failed with a per-field error map.
+ * @param {string} message
+ * @param {object} fields - Field path → error message.
+ */
+function validationFailed(message, fields) {
+  return new HttpError(422, 'validation_failed', message, { fields });
+}
+
+/**
+ * Send a JSON response.
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {*} body - Serialised with JSON.stringify (strings are sent as-is).
+ * @param {object} [headers] - Extra headers (e.g. Cache-Control).
+ */
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(typeof body === 'string' ? body : JSON.stringify(body));
+}
+
+/**
+ * Send an error in the standard envelope.
+ * @param {http.ServerResponse} res
+ * @param {HttpError|Error} err - Non-HttpErrors are reported as 500.
+ * @param {object} [headers]
+ */
+function sendError(res, err, headers = {}) {
+  const http = err instanceof HttpError ? err : new HttpError(500, 'internal_error', 'Internal server error');
+  if (!(err instanceof HttpError)) console.error('Unhandled error:', err);
+  if (res.headersSent) { res.end(); return; }
+  const error = { code: http.code, message: http.message };
+  if (http.details !== undefined) error.details = http.details;
+  sendJson(res, http.status, { error }, headers);
+}
+
+/**
+ * Collect and parse a JSON request body.
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<*>} Parsed JSON body.
+ * @throws {HttpError} 400 invalid_json, or 413 body_too_large.
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    let size = 0;
+    const onData = chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        // Stop reading; handle() answers the 413 and then closes the connection
+        req.off('data', onData);
+        req.pause();
+        reject(new HttpError(413, 'body_too_large', `Body exceeds ${MAX_BODY_BYTES} bytes`));
+        return;
+      }
+      body += chunk;
+    };
+    req.on('data', onData);
+    req.on('end', () => {
+      try { resolve(JSON.parse(body)); }
+      catch (e) { reject(new HttpError(400, 'invalid_json', `Invalid JSON body: ${e.message}`)); }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Compile a path pattern ("/api/room/:name/location/:loc") to a regex.
+ * @param {string} pattern
+ * @returns {object} { regex, keys }
+ */
+function compilePath(pattern) {
+  const keys = [];
+  const source = pattern.split('/').map(segment => {
+    if (segment.startsWith(':')) {
+      keys.push(segment.slice(1));
+      return '([^/]+)';
+    }
+    return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }).join('/');
+  return { regex: new RegExp(`^${source}$`), keys };
+}
+
+/**
+ * Create a router.
+ * @param {object} [opts]
+ * @param {string} [opts.apiPrefix='/api/'] - Unmatched paths under this get a JSON 404.
+ * @returns {object} { add, get, post, put, patch, delete, handle }
+ */
+function createRouter({ apiPrefix = '/api/' } = {}) {
+  /** Registered routes, in order: { methods, pattern, regex, keys, handler } */
+  const routes = [];
+
+  /**
+   * Register a handler.
+   * @param {string|string[]} methods
+   * @param {string} pattern - Path with optional :params.
+   * @param {function(object)} handler
+   */
+  function add(methods, pattern, handler) {
+    routes.push({ methods: [].concat(methods), pattern, ...compilePath(pattern), handler });
+  }
+
+  /**
+   * Dispatch a request.
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   * @returns {Promise<boolean>} true if the router responded (including
+   *   404/405), false if the path is the caller's to handle.
+   */
+  async function handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    let pathname;
+    try {
+      pathname = decodeURIComponent(url.pathname);
+    } catch {
+      sendError(res, badRequest('Malformed URL'));
+      return true;
+    }
+
+    const allowed = new Set();
+    for (const route of routes) {
+      const m = route.regex.exec(url.pathname);
+      if (!m) continue;
+      if (!route.methods.includes(req.method)) {
+        route.methods.forEach(method => allowed.add(method));
+        continue;
+      }
+      const params = {};
+      try {
+        route.keys.forEach((key, i) => { params[key] = decodeURIComponent(m[i + 1]); });
+      } catch {
+        sendError(res, badRequest('Malformed URL'));
+        return true;
+      }
+      try {
+        await route.handler({
+          req, res, params, pathname,
+          searchParams: url.searchParams,
+          query: Object.fromEntries(url.searchParams)
+        });
+      } catch (err) {
+        // A body left half-read (e.g. 413) can't be followed by another
+        // request on this connection: answer, then close it
+        sendError(res, err, req.complete ? {} : { Connection: 'close' });
+      }
+      return true;
+    }
+
+    if (allowed.size) {
+      const allow = [...allowed].join(', ');
+      sendError(res, new HttpError(405, 'method_not_allowed', `${req.method} not allowed on ${pathname}`,
+        { allowed: [...allowed] }), { Allow: allow });
+      return true;
+    }
+    if (pathname.startsWith(apiPrefix)) {
+      sendError(res, notFound(`No route for ${req.method} ${pathname}`));
+      return true;
+    }
+    return false;
+  }
+
+  const router = { add, handle };
+  for (const method of ['GET', 'POST', 'PUT', 'PATCH', 'DELETE']) {
+    router[method.toLowerCase()] = (pattern, handler) => add(method, pattern, handler);
+  }
+  return router;
+}
+
+module.exports = {
+  createRouter,
+  HttpError,
+  badRequest,
+  unauthorized,
+  forbidden,
+  notFound,
+  conflict,
+  validationFailed,
+  sendJson,
+  sendError,
+  readJsonBody
+};
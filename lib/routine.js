@@ -0,0 +1,327 @@
+/**
+ * ============================================================================
+ * File:     dashboard/lib/routine.js
+ * Purpose:  Daily routine engine — moves Claudron around on a schedule
+ *
+ * A routine (data/routine.json) is a list of time windows. Each window
+ * maps a time of day (and optionally days of the week) to a room plus
+ * pools of locations, moods and statuses:
+ *
+ *   { "name": "stargazing", "days": ["fri", "sat"],
+ *     "start": "20:00", "end": "23:30",
+ *     "room": "rooftop", "locations": ["stars", "moon"],
+ *     "moods": ["awe", "cozy"], "statuses": ["so many stars ✨"] }
+ *
+ * Windows are checked in order and the first match wins, so put specific
+ * windows (weekends, holidays) before general ones. A window whose end is
+ * earlier than its start wraps past midnight. Omitting `locations` uses
+ * every location in the room.
+ *
+ * Picks are deterministic per time slot (`intervalMinutes` long): the same
+ * window and slot always produce the same state. That makes the preview
+ * endpoint show exactly what the scheduler will do at a given time.
+ *
+ * Matched weather rules (lib/weather-rules.js) can bend a window before the
+ * pick — e.g. keep him indoors when it rains.
+ *
+ * The scheduler only applies a pick when the caller says nothing is
+ * overriding it (an active touch reaction or a recent agent write).
+ *
+ * Dependencies: ./weather-rules
+ * ============================================================================
+ */
+
+const { applyToWindow } = require('./weather-rules');
+
+/** Day names accepted in a window's `days` list (index = Date#getDay()). */
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/** Defaults for the top-level routine settings. */
+const ROUTINE_DEFAULTS = {
+  enabled: true,
+  intervalMinutes: 30,
+  agentHoldMinutes: 30
+};
+
+/** How often the scheduler checks the routine. */
+const TICK_MS = 60 * 1000;
+
+/**
+ * Parse "HH:MM" into minutes after midnight.
+ * @param {string} value
+ * @returns {number} Minutes, or NaN if malformed.
+ */
+function parseClock(value) {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(String(value));
+  if (!m) return NaN;
+  const h = Number(m[1]);
+  const min = Number(m[2]);
+  if (h > 24 || min > 59 || (h === 24 && min !== 0)) return NaN;
+  return h * 60 + min;
+}
+
+/**
+ * Normalise a `days` entry to a day index (0 = Sunday).
+ * @param {string|number} day
+ * @returns {number} 0–6, or -1 if invalid.
+ */
+function dayIndex(day) {
+  if (Number.isInteger(day) && day >= 0 && day <= 6) return day;
+  return DAY_NAMES.indexOf(String(day).toLowerCase().slice(0, 3));
+}
+
+/**
+ * Fill in top-level defaults.
+ * @param {object} routine
+ * @returns {object}
+ */
+function withDefaults(routine) {
+  return { ...ROUTINE_DEFAULTS, ...routine, windows: (routine && routine.windows) || [] };
+}
+
+/**
+ * Validate a routine document.
+ * @param {object} routine
+ * @param {object} ctx
+ * @param {string[]} ctx.moods - Valid mood names.
+ * @param {string[]} ctx.rooms - Valid room names.
+ * @param {function(string): object} ctx.readRoomConfig
+ * @returns {object|null} Map of field path → error message, or null if valid.
+ */
+function validateRoutine(routine, ctx) {
+  const errors = {};
+  if (!routine || typeof routine !== 'object' || Array.isArray(routine)) {
+    return { '': 'Must be a JSON object' };
+  }
+  if (routine.enabled !== undefined && typeof routine.enabled !== 'boolean') {
+    errors.enabled = 'Must be true or false';
+  }
+  for (const key of ['intervalMinutes', 'agentHoldMinutes']) {
+    const v = routine[key];
+    if (v !== undefined && !(Number.isFinite(v) && v >= (key === 'agentHoldMinutes' ? 0 : 1))) {
+      errors[key] = key === 'agentHoldMinutes' ? 'Must be a number ≥ 0' : 'Must be a number ≥ 1';
+    }
+  }
+  if (!Array.isArray(routine.windows)) {
+    errors.windows = 'Must be an array';
+    return errors;
+  }
+
+  routine.windows.forEach((w, i) => {
+    const at = `windows[${i}]`;
+    if (!w || typeof w !== 'object') { errors[at] = 'Must be an object'; return; }
+    if (typeof w.name !== 'string' || !w.name) errors[`${at}.name`] = 'Required';
+    if (Number.isNaN(parseClock(w.start))) errors[`${at}.start`] = 'Expected HH:MM';
+    if (Number.isNaN(parseClock(w.end))) errors[`${at}.end`] = 'Expected HH:MM';
+    if (w.days !== undefined) {
+      if (!Array.isArray(w.days) || !w.days.length || w.days.some(d => dayIndex(d) < 0)) {
+        errors[`${at}.days`] = `Expected a non-empty list of ${DAY_NAMES.join('/')}`;
+      }
+    }
+
+    let locations = null;
+    if (!ctx.rooms.includes(w.room)) {
+      errors[`${at}.room`] = `Unknown room "${w.room}"`;
+    } else {
+      try { locations = Object.keys(ctx.readRoomConfig(w.room).locations || {}); } catch { locations = []; }
+    }
+
+    if (w.locations !== undefined) {
+      if (!Array.isArray(w.locations) || !w.locations.length) {
+        errors[`${at}.locations`] = 'Must be a non-empty array';
+      } else if (locations) {
+        const bad = w.locations.find(l => !locations.includes(l));
+        if (bad) errors[`${at}.locations`] = `Unknown location "${bad}" in room "${w.room}"`;
+      }
+    }
+    if (!Array.isArray(w.moods) || !w.moods.length) {
+      errors[`${at}.moods`] = 'Must be a non-empty array';
+    } else {
+      const bad = w.moods.find(m => !ctx.moods.includes(m));
+      if (bad) errors[`${at}.moods`] = `Unknown mood "${bad}"`;
+    }
+    if (w.statuses !== undefined && (!Array.isArray(w.statuses) || w.statuses.some(s => typeof s !== 'string'))) {
+      errors[`${at}.statuses`] = 'Must be an array of strings';
+    }
+  });
+
+  return Object.keys(errors).length ? errors : null;
+}
+
+/**
+ * Find the first window covering a moment.
+ * @param {object} routine
+ * @param {Date} date - Interpreted in server local time.
+ * @returns {object|null} The window, or null.
+ */
+function findWindow(routine, date) {
+  const minute = date.getHours() * 60 + date.getMinutes();
+  const today = date.getDay();
+  const yesterday = (today + 6) % 7;
+
+  for (const w of routine.windows || []) {
+    const start = parseClock(w.start);
+    const end = parseClock(w.end);
+    const days = w.days ? w.days.map(dayIndex) : null;
+    const onDay = d => !days || days.includes(d);
+
+    if (start <= end) {
+      if (minute >= start && minute < end && onDay(today)) return w;
+    } else {
+      // Wraps midnight: the late part belongs to today, the early part to
+      // the window that started yesterday
+      if (minute >= start && onDay(today)) return w;
+      if (minute < end && onDay(yesterday)) return w;
+    }
+  }
+  return null;
+}
+
+/**
+ * 32-bit FNV-1a hash of a string — seeds the per-slot picks.
+ * @param {string} str
+ * @returns {number}
+ */
+function hashString(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Small seeded PRNG (mulberry32).
+ * @param {number} seed
+ * @returns {function(): number} Returns floats in [0, 1).
+ */
+function seededRandom(seed) {
+  let a = seed >>> 0;
+  return function() {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Work out what the routine wants at a given moment.
+ * @param {object} routine
+ * @param {Date} date
+ * @param {object} ctx - { readRoomConfig, weatherRules? } — weatherRules are
+ *   matched rules from lib/weather-rules.js, applied to the window.
+ * @returns {object|null} { window, slot, weather, state: { room, location, mood, status } }
+ *   or null when no window covers that time.
+ */
+function planAt(routine, date, ctx) {
+  const r = withDefaults(routine);
+  const found = findWindow(r, date);
+  if (!found) return null;
+
+  const slot = Math.floor(date.getTime() / (r.intervalMinutes * 60 * 1000));
+  const rand = seededRandom(hashString(`${found.name}:${slot}`));
+  const choose = list => list[Math.floor(rand() * list.length)];
+  const rules = ctx.weatherRules || [];
+  const w = applyToWindow(found, rules, rand);
+
+  let locations = w.locations;
+  if (!locations || !locations.length) {
+    try { locations = Object.keys(ctx.readRoomConfig(w.room).locations || {}); } catch { locations = []; }
+  }
+
+  const status = w.statuses && w.statuses.length ? choose(w.statuses) : '';
+  return {
+    window: w.name,
+    slot,
+    weather: rules.map(rule => rule.name),
+    state: {
+      room: w.room,
+      location: locations.length ? choose(locations) : undefined,
+      mood: choose(w.moods),
+      status: [status, ...w.statusLines].filter(Boolean).join('\n')
+    }
+  };
+}
+
+/**
+ * Resolve a preview time: ISO string, epoch ms, or "HH:MM" (today, local).
+ * @param {string} [value] - Defaults to now.
+ * @param {number} nowMs
+ * @returns {Date|null} null if unparseable.
+ */
+function resolveTime(value, nowMs) {
+  if (value === undefined || value === null || value === '') return new Date(nowMs);
+  const minutes = parseClock(value);
+  if (!Number.isNaN(minutes)) {
+    const d = new Date(nowMs);
+    d.setHours(0, minutes, 0, 0);
+    return d;
+  }
+  const ms = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  return Number.isNaN(ms) ? null : new Date(ms);
+}
+
+/**
+ * Create the background scheduler.
+ * @param {object} opts
+ * @param {function(): object} opts.loadRoutine - Current routine (re-read each tick).
+ * @param {function(): object} opts.readState
+ * @param {function(object, string)} opts.writeState - Called with source 'scheduler'.
+ * @param {function(object): boolean} opts.isOverridden - Given the routine,
+ *   true while a reaction or recent agent write should take precedence.
+ * @param {object} opts.ctx - { readRoomConfig }
+ * @param {function(): object[]} [opts.weatherRules] - Currently matched weather rules.
+ * @param {function(): number} [opts.now]
+ * @returns {object} { start, stop, tick }
+ */
+function createScheduler({ loadRoutine, readState, writeState, isOverridden, ctx, weatherRules = () => [], now = () => Date.now() }) {
+  let timer = null;
+
+  /**
+   * Apply the routine for the current moment if nothing overrides it.
+   * @returns {object|null} The plan applied, or null if nothing was written.
+   */
+  function tick() {
+    const routine = withDefaults(loadRoutine());
+    if (!routine.enabled || isOverridden(routine)) return null;
+    const plan = planAt(routine, new Date(now()), { ...ctx, weatherRules: weatherRules() });
+    if (!plan) return null;
+
+    const current = readState();
+    const next = { ...current, ...plan.state };
+    if (next.location === undefined) delete next.location;
+    const changed = ['room', 'location', 'mood', 'status'].some(k => next[k] !== current[k]);
+    if (!changed) return null;
+    writeState(next, 'scheduler');
+    return plan;
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(() => {
+      try { tick(); } catch (e) { console.error('Routine tick failed:', e.message); }
+    }, TICK_MS);
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { start, stop, tick };
+}
+
+module.exports = {
+  ROUTINE_DEFAULTS,
+  parseClock,
+  validateRoutine,
+  findWindow,
+  planAt,
+  resolveTime,
+  withDefaults,
+  seededRandom,
+  createScheduler
+};
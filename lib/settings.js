@@ -0,0 +1,244 @@
+/**
+ * ============================================================================
+ * File:     dashboard/lib/settings.js
+ * Purpose:  Per-install settings (data/settings.json) with env var fallbacks
+ *
+ * Things that differ between installs — where the dashboard lives, which
+ * temperature unit the household reads — don't belong in source. Each
+ * section is layered:
+ *
+ *   built-in defaults  <  environment variables  <  data/settings.json
+ *
+ * data/settings.json is not committed; it's created by the settings
+ * endpoints (or by hand):
+ *
+ *   { "weather": { "name": "Menlo Park, CA",
+ *                  "latitude": 37.4529, "longitude": -122.1817,
+ *                  "timezone": "America/Los_Angeles",
+ *                  "units": "fahrenheit", "forecastDays": 3 },
+ *     "wake": { "adapters": [{ "type": "webhook", "url": "http://..." }],
+ *               "throttleMs": 30000 } }
+ *
+ * Weather env vars: WEATHER_LOCATION_NAME, WEATHER_LATITUDE,
+ * WEATHER_LONGITUDE, WEATHER_TIMEZONE, WEATHER_UNITS, WEATHER_FORECAST_DAYS.
+ *
+ * Wake env vars: WAKE_COMMAND, WAKE_WEBHOOK_URL, WAKE_FILE (inside data/) — setting any
+ * of them replaces the default adapter list (see lib/wake.js).
+ *
+ * Usage:
+ *   const settings = createSettings({ file: SETTINGS_FILE });
+ *   settings.get('weather');            // merged, always complete and valid
+ *   settings.save('weather', { ... });  // after validateWeatherSettings()
+ *
+ * Dependencies: ./json-file
+ * ============================================================================
+ */
+
+const { readJson, writeJsonAtomic } = require('./json-file');
+
+/** Weather defaults — the dashboard's original home. */
+const WEATHER_DEFAULTS = {
+  name: 'Menlo Park, CA',
+  latitude: 37.4529,
+  longitude: -122.1817,
+  timezone: 'America/Los_Angeles',
+  units: 'fahrenheit',
+  forecastDays: 3
+};
+
+/** Accepted values for weather.units. */
+const WEATHER_UNITS = ['fahrenheit', 'celsius'];
+
+/** Env var → weather field, with a parser for each. */
+const WEATHER_ENV = {
+  WEATHER_LOCATION_NAME: ['name', String],
+  WEATHER_LATITUDE: ['latitude', Number],
+  WEATHER_LONGITUDE: ['longitude', Number],
+  WEATHER_TIMEZONE: ['timezone', String],
+  WEATHER_UNITS: ['units', v => String(v).toLowerCase()],
+  WEATHER_FORECAST_DAYS: ['forecastDays', Number]
+};
+
+/**
+ * Wake defaults — wake the OpenClaw agent the way the dashboard always has.
+ * Validated by lib/wake.js, which knows the adapter types.
+ */
+const WAKE_DEFAULTS = {
+  adapters: [{ type: 'command', command: 'openclaw system event --mode now --text {text}' }],
+  throttleMs: 30 * 1000,     // per member (or per IP for unidentified visitors)
+  throttle: {},              // member id (or "unknown") → throttleMs override
+  unknownVisitors: true,     // wake for visitors who haven't picked an emoji
+  retries: 2,                // extra attempts per adapter after a failure
+  backoffMs: 1000,           // first retry delay; doubles each time
+  timeoutMs: 10 * 1000       // per attempt
+};
+
+/**
+ * Wake adapters from the environment. Any of WAKE_COMMAND,
+ * WAKE_WEBHOOK_URL and WAKE_FILE replaces the default adapter list.
+ * @param {object} env
+ * @returns {object}
+ */
+function wakeFromEnv(env) {
+  const adapters = [];
+  if (env.WAKE_COMMAND) adapters.push({ type: 'command', command: env.WAKE_COMMAND });
+  if (env.WAKE_WEBHOOK_URL) adapters.push({ type: 'webhook', url: env.WAKE_WEBHOOK_URL });
+  if (env.WAKE_FILE) adapters.push({ type: 'file', path: env.WAKE_FILE });
+  return adapters.length ? { adapters } : {};
+}
+
+/**
+ * True if the runtime knows an IANA timezone ("auto" lets Open-Meteo pick).
+ * @param {string} tz
+ * @returns {boolean}
+ */
+function isTimezone(tz) {
+  if (tz === 'auto') return true;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validate weather settings. Every field is optional (missing ones fall
+ * back to env/defaults), unknown fields are rejected.
+ * @param {object} value
+ * @returns {object|null} Map of field → error message, or null if valid.
+ */
+function validateWeatherSettings(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return { '': 'Must be a JSON object' };
+  }
+  const errors = {};
+  for (const key of Object.keys(value)) {
+    if (!(key in WEATHER_DEFAULTS)) errors[key] = 'Unknown field';
+  }
+  const { name, latitude, longitude, timezone, units, forecastDays } = value;
+  if (name !== undefined && (typeof name !== 'string' || !name.trim() || name.length > 80)) {
+    errors.name = 'Must be a non-empty string of at most 80 characters';
+  }
+  if (latitude !== undefined && !(typeof latitude === 'number' && latitude >= -90 && latitude <= 90)) {
+    errors.latitude = 'Must be a number from -90 to 90';
+  }
+  if (longitude !== undefined && !(typeof longitude === 'number' && longitude >= -180 && longitude <= 180)) {
+    errors.longitude = 'Must be a number from -180 to 180';
+  }
+  if (timezone !== undefined && (typeof timezone !== 'string' || !isTimezone(timezone))) {
+    errors.timezone = 'Unknown timezone (use an IANA name like "Europe/London", or "auto")';
+  }
+  if (units !== undefined && !WEATHER_UNITS.includes(units)) {
+    errors.units = `Must be one of ${WEATHER_UNITS.join(', ')}`;
+  }
+  if (forecastDays !== undefined && !(Number.isInteger(forecastDays) && forecastDays >= 1 && forecastDays <= 7)) {
+    errors.forecastDays = 'Must be an integer from 1 to 7';
+  }
+  return Object.keys(errors).length ? errors : null;
+}
+
+/**
+ * Weather settings from the environment. Values that don't validate are
+ * ignored with a warning rather than breaking startup.
+ * @param {object} env
+ * @returns {object}
+ */
+function weatherFromEnv(env) {
+  const out = {};
+  for (const [name, [field, parse]] of Object.entries(WEATHER_ENV)) {
+    if (env[name] === undefined || env[name] === '') continue;
+    const value = parse(env[name]);
+    if (validateWeatherSettings({ [field]: value })) {
+      console.warn(`Ignoring invalid ${name}=${env[name]}`);
+      continue;
+    }
+    out[field] = value;
+  }
+  return out;
+}
+
+/** Invalid settings.json values already warned about (get() runs often). */
+const warnedFileValues = new Set();
+
+/**
+ * Weather settings from data/settings.json. It may be hand-edited, so
+ * each field is checked on its own and a bad one falls back to env or
+ * defaults (with a warning) instead of reaching the forecast request.
+ * @param {object} stored
+ * @returns {object}
+ */
+function weatherFromFile(stored) {
+  const out = {};
+  for (const [field, value] of Object.entries(stored)) {
+    if (validateWeatherSettings({ [field]: value })) {
+      const key = `${field}=${JSON.stringify(value)}`;
+      if (!warnedFileValues.has(key)) {
+        warnedFileValues.add(key);
+        console.warn(`Ignoring invalid weather.${key} in settings.json`);
+      }
+      continue;
+    }
+    out[field] = value;
+  }
+  return out;
+}
+
+/**
+ * Known sections: defaults, env reader and (optionally) a settings.json
+ * filter for each. Wake settings are checked by lib/wake.js instead.
+ */
+const SECTIONS = {
+  weather: { defaults: WEATHER_DEFAULTS, fromEnv: weatherFromEnv, fromFile: weatherFromFile },
+  wake: { defaults: WAKE_DEFAULTS, fromEnv: wakeFromEnv, fromFile: stored => stored }
+};
+
+/**
+ * Create a settings store bound to a file.
+ * @param {object} opts
+ * @param {string} opts.file - Path to settings.json.
+ * @param {object} [opts.env] - Environment (defaults to process.env).
+ * @returns {object} { get, stored, save }
+ */
+function createSettings({ file, env = process.env }) {
+
+  /**
+   * Merged settings for a section (re-reads the file every call so hand
+   * edits apply without a restart).
+   * @param {string} section - e.g. 'weather'.
+   * @returns {object}
+   */
+  function get(section) {
+    const s = SECTIONS[section];
+    if (!s) throw new Error(`Unknown settings section "${section}"`);
+    return { ...s.defaults, ...s.fromEnv(env), ...s.fromFile(stored(section)) };
+  }
+
+  /**
+   * A section exactly as data/settings.json has it (no defaults/env).
+   * @param {string} section
+   * @returns {object}
+   */
+  function stored(section) {
+    if (!SECTIONS[section]) throw new Error(`Unknown settings section "${section}"`);
+    const value = readJson(file, {})[section];
+    return value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+  }
+
+  /**
+   * Replace a section in settings.json (caller validates first).
+   * @param {string} section
+   * @param {object} value
+   * @returns {object} The merged settings after saving.
+   */
+  function save(section, value) {
+    if (!SECTIONS[section]) throw new Error(`Unknown settings section "${section}"`);
+    const all = readJson(file, {});
+    writeJsonAtomic(file, { ...all, [section]: value });
+    return get(section);
+  }
+
+  return { get, stored, save };
+}
+
+module.exports = { createSettings, validateWeatherSettings, WEATHER_DEFAULTS, WEATHER_UNITS, WAKE_DEFAULTS };
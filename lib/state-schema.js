@@ -0,0 +1,77 @@
+/**
+ * ============================================================================
+ * File:     dashboard/lib/state-schema.js
+ * Purpose:  Validation for writes to data/state.json
+ *
+ * Checks a candidate state against what the dashboard can actually render:
+ *   mood     — a built-in or custom mood name (ctx.moods)
+ *   room     — a directory under rooms/ with a config.json
+ *   location — a location in that room's config.json (defaults to the
+ *              room's "default" when omitted)
+ *   status   — speech bubble text (string, may be empty)
+ *
+ * Returns field-level errors rather than throwing, so the API can report
+ * every problem at once.
+ *
+ * Dependencies: None.
+ * ============================================================================
+ */
+
+/** Fields a state object may contain. */
+const STATE_FIELDS = ['mood', 'status', 'room', 'location'];
+
+/** Longest status we'll put in the speech bubble. */
+const MAX_STATUS_LENGTH = 280;
+
+/**
+ * Validate (and lightly normalise) a candidate state.
+ * Fills in `location` from the room's default if it is missing.
+ *
+ * @param {object} state - Candidate state (mutated when location is defaulted).
+ * @param {object} ctx
+ * @param {string[]} ctx.moods - Valid mood names.
+ * @param {string[]} ctx.rooms - Valid room names.
+ * @param {function(string): object} ctx.readRoomConfig - Loads rooms/<name>/config.json.
+ * @returns {object|null} Map of field → error message, or null if valid.
+ */
+function validateState(state, ctx) {
+  const errors = {};
+
+  for (const key of Object.keys(state)) {
+    if (!STATE_FIELDS.includes(key)) errors[key] = 'Unknown field';
+  }
+
+  if (typeof state.mood !== 'string' || !state.mood) {
+    errors.mood = 'Required';
+  } else if (!ctx.moods.includes(state.mood)) {
+    errors.mood = `Unknown mood "${state.mood}"`;
+  }
+
+  if (state.status !== undefined && state.status !== null) {
+    if (typeof state.status !== 'string') {
+      errors.status = 'Must be a string';
+    } else if (state.status.length > MAX_STATUS_LENGTH) {
+      errors.status = `Must be at most ${MAX_STATUS_LENGTH} characters`;
+    }
+  }
+
+  if (typeof state.room !== 'string' || !state.room) {
+    errors.room = 'Required';
+  } else if (!ctx.rooms.includes(state.room)) {
+    errors.room = `Unknown room "${state.room}"`;
+  } else {
+    let cfg = null;
+    try { cfg = ctx.readRoomConfig(state.room); } catch {}
+    const locations = (cfg && cfg.locations) || {};
+    if (state.location === undefined || state.location === null) {
+      if (cfg && cfg.default) state.location = cfg.default;
+      else errors.location = 'Required (room has no default location)';
+    } else if (typeof state.location !== 'string' || !Object.hasOwn(locations, state.location)) {
+      errors.location = `Unknown location "${state.location}" in room "${state.room}"`;
+    }
+  }
+
+  return Object.keys(errors).length ? errors : null;
+}
+
+module.exports = { STATE_FIELDS, MAX_STATUS_LENGTH, validateState };
@@ -0,0 +1,214 @@
+/**
+ * ============================================================================
+ * File:     dashboard/lib/static-files.js
+ * Purpose:  Allow-listed static file serving (streams, caching, ranges)
+ *
+ * Only explicitly mounted directories are served — data/, server.js and
+ * everything else in the dashboard folder stay private:
+ *
+ *   const serveStatic = createStaticServer({
+ *     root: DASH_DIR,
+ *     mounts: [
+ *       { url: '/rooms/', dir: 'rooms', only: /^[a-z0-9_-]+\/wallpaper\.png$/ },
+ *       { url: '/', dir: 'public' }
+ *     ],
+ *     files: { '/claudron-full-tour.mp4': 'claudron-full-tour.mp4' }
+ *   });
+ *   serveStatic(req, res);
+ *
+ * The first mount whose prefix (and `only` regex, if any) matches wins,
+ * so list specific prefixes before "/". Query strings are ignored; "..",
+ * dotfiles and NUL bytes are refused, and the resolved path must stay
+ * inside the mount directory.
+ *
+ * Responses carry ETag/Last-Modified (304 on revalidation) and support a
+ * single byte Range (206/416) so video can seek. Files are streamed, never
+ * read into memory. GET and HEAD only.
+ *
+ * Dependencies: None — Node.js built-ins only.
+ * ============================================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/** MIME type map for static file serving. */
+const MIME_TYPES = {
+  '.html':  'text/html; charset=utf-8',
+  '.css':   'text/css; charset=utf-8',
+  '.js':    'application/javascript; charset=utf-8',
+  '.json':  'application/json',
+  '.txt':   'text/plain; charset=utf-8',
+  '.png':   'image/png',
+  '.jpg':   'image/jpeg',
+  '.jpeg':  'image/jpeg',
+  '.gif':   'image/gif',
+  '.webp':  'image/webp',
+  '.svg':   'image/svg+xml',
+  '.ico':   'image/x-icon',
+  '.mp4':   'video/mp4',
+  '.webm':  'video/webm',
+  '.woff':  'font/woff',
+  '.woff2': 'font/woff2'
+};
+
+/**
+ * Send a short plain-text response.
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {string} message
+ * @param {object} [headers]
+ */
+function sendText(res, status, message, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8', ...headers });
+  res.end(message);
+}
+
+/**
+ * Weak ETag from size and modification time.
+ * @param {fs.Stats} stat
+ * @returns {string}
+ */
+function etagFor(stat) {
+  return `W/"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`;
+}
+
+/**
+ * Does the request's cache validator still match?
+ * @param {http.IncomingMessage} req
+ * @param {string} etag
+ * @param {fs.Stats} stat
+ * @returns {boolean}
+ */
+function isFresh(req, etag, stat) {
+  const inm = req.headers['if-none-match'];
+  if (inm) return inm.split(',').some(tag => tag.trim() === etag || tag.trim() === '*');
+  const ims = Date.parse(req.headers['if-modified-since'] || '');
+  return !Number.isNaN(ims) && Math.floor(stat.mtimeMs / 1000) * 1000 <= ims;
+}
+
+/**
+ * Parse a single "bytes=" range.
+ * @param {string} header
+ * @param {number} size
+ * @returns {object|null|false} { start, end }, null if absent/ignored,
+ *   false if unsatisfiable.
+ */
+function parseRange(header, size) {
+  const m = /^bytes=(\d*)-(\d*)$/.exec(header || '');
+  if (!m || (m[1] === '' && m[2] === '')) return null;
+  let start, end;
+  if (m[1] === '') {
+    // Suffix range: the last N bytes
+    start = Math.max(0, size - Number(m[2]));
+    end = size - 1;
+  } else {
+    start = Number(m[1]);
+    end = m[2] === '' ? size - 1 : Math.min(Number(m[2]), size - 1);
+  }
+  if (start > end || start >= size) return false;
+  return { start, end };
+}
+
+/**
+ * Map a URL path to a file on disk using the allow-list.
+ * @param {string} pathname - Decoded URL path.
+ * @param {object} opts - { root, mounts, files }
+ * @returns {string|null} Absolute file path, or null if not allowed.
+ */
+function resolveFile(pathname, { root, mounts, files }) {
+  if (pathname.includes('\0')) return null;
+  if (files[pathname]) return path.join(root, files[pathname]);
+
+  for (const mount of mounts) {
+    if (!pathname.startsWith(mount.url)) continue;
+    let rel = pathname.slice(mount.url.length);
+    if (rel === '' || rel.endsWith('/')) rel += 'index.html';
+    const segments = rel.split('/');
+    if (segments.some(s => s === '' || s === '..' || s.startsWith('.'))) continue;
+    if (mount.only && !mount.only.test(rel)) continue;
+
+    const dir = path.resolve(root, mount.dir);
+    const file = path.resolve(dir, ...segments);
+    if (!file.startsWith(dir + path.sep)) continue;
+    return file;
+  }
+  return null;
+}
+
+/**
+ * Create a static file handler.
+ * @param {object} opts
+ * @param {string} opts.root - Directory mounts are relative to.
+ * @param {object[]} opts.mounts - [{ url, dir, only? }], checked in order.
+ * @param {object} [opts.files] - Single files: URL path → path under root.
+ * @returns {function(http.IncomingMessage, http.ServerResponse): Promise<void>}
+ */
+function createStaticServer({ root, mounts, files = {} }) {
+  const opts = { root, mounts, files };
+
+  return async function serveStatic(req, res) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      sendText(res, 405, 'Method not allowed', { Allow: 'GET, HEAD' });
+      return;
+    }
+
+    let pathname;
+    try {
+      pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    } catch {
+      sendText(res, 400, 'Bad request');
+      return;
+    }
+
+    const file = resolveFile(pathname, opts);
+    let stat = null;
+    if (file) {
+      try { stat = await fs.promises.stat(file); } catch {}
+    }
+    if (!stat || !stat.isFile()) {
+      sendText(res, 404, 'Not found');
+      return;
+    }
+
+    const etag = etagFor(stat);
+    const headers = {
+      'Content-Type': MIME_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream',
+      'ETag': etag,
+      'Last-Modified': stat.mtime.toUTCString(),
+      'Cache-Control': 'no-cache',
+      'Accept-Ranges': 'bytes'
+    };
+
+    if (isFresh(req, etag, stat)) {
+      res.writeHead(304, headers);
+      res.end();
+      return;
+    }
+
+    // If-Range: only honour the range if the client's copy is current
+    const ifRange = req.headers['if-range'];
+    const range = ifRange && ifRange !== etag ? null : parseRange(req.headers.range, stat.size);
+    if (range === false) {
+      sendText(res, 416, 'Range not satisfiable', { 'Content-Range': `bytes */${stat.size}` });
+      return;
+    }
+
+    const start = range ? range.start : 0;
+    const end = range ? range.end : stat.size - 1;
+    headers['Content-Length'] = stat.size ? end - start + 1 : 0;
+    if (range) headers['Content-Range'] = `bytes ${start}-${end}/${stat.size}`;
+    res.writeHead(range ? 206 : 200, headers);
+
+    if (req.method === 'HEAD' || !stat.size) {
+      res.end();
+      return;
+    }
+    const stream = fs.createReadStream(file, { start, end });
+    stream.on('error', () => res.destroy());
+    res.on('close', () => stream.destroy());
+    stream.pipe(res);
+  };
+}
+
+module.exports = { createStaticServer, resolveFile, parseRange, MIME_TYPES };
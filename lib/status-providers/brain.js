@@ -0,0 +1,24 @@
+/**
+ * ============================================================================
+ * File:     dashboard/lib/status-providers/brain.js
+ * Purpose:  Status provider — context/model info from brain.json
+ *
+ * Claudron updates brain.json during sessions. Value is its contents
+ * ({ contextPct, contextUsed, contextMax, model, ... }).
+ *
+ * Dependencies: None.
+ * ============================================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+module.exports = {
+  name: 'brain',
+  intervalMs: 10 * 1000,
+  timeoutMs: 2 * 1000,
+
+  async run({ dashDir }) {
+    return JSON.parse(await fs.promises.readFile(path.join(dashDir, 'brain.json'), 'utf8'));
+  }
+};
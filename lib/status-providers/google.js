@@ -0,0 +1,28 @@
+/**
+ * ============================================================================
+ * File:     dashboard/lib/status-providers/google.js
+ * Purpose:  Status provider — Google account connectivity (opt-in)
+ *
+ * The gog CLI can trigger keychain prompts on the dashboard machine, so
+ * this check is off unless GOOGLE_STATUS_COMMAND is set to a command that
+ * exits 0 when Google is connected (e.g. "gog auth status").
+ *
+ * Value: true when the command succeeds.
+ *
+ * Dependencies: ../status-registry
+ * ============================================================================
+ */
+
+const { runCommand } = require('../status-registry');
+
+module.exports = {
+  name: 'google',
+  intervalMs: 5 * 60 * 1000,
+  timeoutMs: 10 * 1000,
+  enabled: ({ env }) => Boolean(env.GOOGLE_STATUS_COMMAND),
+
+  async run({ env, signal }) {
+    await runCommand(env.GOOGLE_STATUS_COMMAND, { signal, env });
+    return true;
+  }
+};
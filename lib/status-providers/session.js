@@ -0,0 +1,49 @@
+/**
+ * ============================================================================
+ * File:     dashboard/lib/status-providers/session.js
+ * Purpose:  Status provider — OpenClaw main session (compactions, turns)
+ *
+ * Reads sessions.json under the OpenClaw home ($OPENCLAW_HOME, default
+ * ~/.openclaw) and counts assistant messages in the main session's JSONL
+ * as "turns".
+ *
+ * Value: { compactions, turns, sessionKey }, or null if there's no main
+ * session.
+ *
+ * Dependencies: None.
+ * ============================================================================
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+module.exports = {
+  name: 'session',
+  intervalMs: 60 * 1000,
+  timeoutMs: 5 * 1000,
+
+  async run({ env }) {
+    const home = env.OPENCLAW_HOME || path.join(os.homedir(), '.openclaw');
+    const sessFile = path.join(home, 'agents', 'main', 'sessions', 'sessions.json');
+    const data = JSON.parse(await fs.promises.readFile(sessFile, 'utf8'));
+
+    for (const [key, sess] of Object.entries(data)) {
+      if (!key.includes('main')) continue;
+
+      let turns = 0;
+      try {
+        const jsonl = await fs.promises.readFile(sess.sessionFile, 'utf8');
+        for (const line of jsonl.split('\n')) {
+          if (!line.trim()) continue;
+          try {
+            if (JSON.parse(line).role === 'assistant') turns++;
+          } catch {}
+        }
+      } catch {}
+
+      return { compactions: sess.compactionCount || 0, turns, sessionKey: key };
+    }
+    return null;
+  }
+};
@@ -0,0 +1,31 @@
+/**
+ * ============================================================================
+ * File:     dashboard/lib/status-providers/spotify.js
+ * Purpose:  Status provider — what's playing, via the spogo CLI
+ *
+ * Value: { state: 'PLAYING'|'PAUSED', track, artist, device }, or null
+ * when nothing is loaded.
+ *
+ * Dependencies: ../status-registry
+ * ============================================================================
+ */
+
+const { runCommand } = require('../status-registry');
+
+module.exports = {
+  name: 'spotify',
+  intervalMs: 15 * 1000,
+  timeoutMs: 5 * 1000,
+
+  async run({ env, signal }) {
+    const out = await runCommand('spogo status --json', { signal, env });
+    const sp = JSON.parse(out.trim());
+    if (!sp.item) return null;
+    return {
+      state: sp.is_playing ? 'PLAYING' : 'PAUSED',
+      track: sp.item.name || 'Unknown',
+      artist: sp.item.artist || sp.item.artists?.map(a => a.name).join(', ') || '',
+      device: sp.device?.name || ''
+    };
+  }
+};
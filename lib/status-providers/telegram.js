@@ -0,0 +1,23 @@
+/**
+ * ============================================================================
+ * File:     dashboard/lib/status-providers/telegram.js
+ * Purpose:  Status provider — is the OpenClaw Telegram channel up?
+ *
+ * Value: true/false from `openclaw health`.
+ *
+ * Dependencies: ../status-registry
+ * ============================================================================
+ */
+
+const { runCommand } = require('../status-registry');
+
+module.exports = {
+  name: 'telegram',
+  intervalMs: 60 * 1000,
+  timeoutMs: 10 * 1000,
+
+  async run({ env, signal }) {
+    const health = await runCommand('openclaw health', { signal, env });
+    return health.includes('Telegram: ok');
+  }
+};
@@ -0,0 +1,208 @@
+/**
+ * ============================================================================
+ * File:     dashboard/lib/status-registry.js
+ * Purpose:  Background status providers with cached results
+ *
+ * /api/status used to shell out to every CLI on every request. Instead,
+ * each status source is a *provider* that refreshes itself in the
+ * background and the endpoint just reads the cache:
+ *
+ *   module.exports = {
+ *     name: 'spotify',
+ *     intervalMs: 15000,     // how often to refresh
+ *     timeoutMs: 5000,       // a run taking longer counts as failed
+ *     async run({ env, dashDir, signal }) { return { track: ... }; }
+ *   };
+ *
+ * Drop a file like that into lib/status-providers/ and it's picked up at
+ * startup — nothing else needs to change. Export `enabled: false` (or a
+ * function of the context) to ship a provider that's off by default.
+ *
+ * Each provider's snapshot is:
+ *   { value, ok, stale, error, updatedAt, checkedAt, durationMs }
+ *   ok     — the last run succeeded
+ *   stale  — no successful run within `staleMs` (default 2 intervals + timeout);
+ *            `value` is then the last good result, or null
+ *   error  — message from the last failed run, else null
+ *
+ * Dependencies: None — Node.js built-ins only.
+ * ============================================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { exec } = require('child_process');
+
+/** Default timeout for a provider run. */
+const DEFAULT_TIMEOUT_MS = 10 * 1000;
+
+/**
+ * Run a shell command, resolving with its combined output.
+ * @param {string} command
+ * @param {object} [opts] - { timeoutMs, signal, env }
+ * @returns {Promise<string>}
+ * @throws {Error} If the command fails, times out or is aborted.
+ */
+function runCommand(command, { timeoutMs = DEFAULT_TIMEOUT_MS, signal, env = process.env } = {}) {
+  return new Promise((resolve, reject) => {
+    exec(`${command} 2>&1`, { timeout: timeoutMs, signal, env }, (err, stdout) => {
+      if (!err) { resolve(stdout.toString()); return; }
+      const detail = err.killed ? 'timed out' : (String(stdout).trim().split('\n')[0] || err.message.split('\n')[0]);
+      reject(new Error(`${command.split(' ')[0]}: ${detail}`));
+    });
+  });
+}
+
+/**
+ * Load every provider module in a directory (alphabetical order).
+ * @param {string} dir
+ * @param {object} ctx - Passed to `enabled(ctx)` when a provider exports one.
+ * @returns {object[]} Providers that are enabled.
+ */
+function loadProviders(dir, ctx) {
+  let files = [];
+  try { files = fs.readdirSync(dir).filter(f => f.endsWith('.js')).sort(); } catch { return []; }
+  const providers = [];
+  for (const file of files) {
+    const provider = require(path.join(dir, file));
+    const enabled = typeof provider.enabled === 'function' ? provider.enabled(ctx) : provider.enabled !== false;
+    if (enabled) providers.push(provider);
+  }
+  return providers;
+}
+
+/**
+ * Create a provider registry.
+ * @param {object} [opts]
+ * @param {object} [opts.ctx] - Passed to every run() (plus an abort `signal`).
+ * @param {function(): number} [opts.now]
+ * @returns {object} { register, start, stop, refresh, snapshot, names }
+ */
+function createStatusRegistry({ ctx = {}, now = () => Date.now() } = {}) {
+  /** name → { provider, entry, timer, running } */
+  const providers = new Map();
+  let started = false;
+
+  /**
+   * Add a provider. Must be called before start() for it to be scheduled
+   * straight away; later registrations start immediately.
+   * @param {object} provider - { name, run, intervalMs, timeoutMs?, staleMs? }
+   */
+  function register(provider) {
+    if (!provider || typeof provider.name !== 'string' || typeof provider.run !== 'function') {
+      throw new Error('Status provider needs a name and a run() function');
+    }
+    if (!(provider.intervalMs > 0)) throw new Error(`Status provider "${provider.name}" needs an intervalMs`);
+    if (providers.has(provider.name)) throw new Error(`Duplicate status provider "${provider.name}"`);
+    providers.set(provider.name, {
+      provider,
+      entry: { value: null, error: null, updatedAt: null, checkedAt: null, durationMs: null, lastOk: false },
+      timer: null,
+      running: null
+    });
+    if (started) schedule(provider.name, 0);
+  }
+
+  /**
+   * Run one provider now (joins a run already in flight).
+   * @param {string} name
+   * @returns {Promise<void>} Never rejects — failures land in the snapshot.
+   */
+  function refresh(name) {
+    const slot = providers.get(name);
+    if (!slot) return Promise.reject(new Error(`Unknown status provider "${name}"`));
+    if (slot.running) return slot.running;
+
+    const { provider, entry } = slot;
+    const timeoutMs = provider.timeoutMs || DEFAULT_TIMEOUT_MS;
+    const controller = new AbortController();
+    const startedAt = now();
+    let timeout;
+
+    const timedOut = new Promise((_, reject) => {
+      timeout = setTimeout(() => {
+        controller.abort();
+        reject(new Error(`timed out after ${timeoutMs}ms`));
+      }, timeoutMs);
+    });
+
+    slot.running = Promise.race([
+      Promise.resolve().then(() => provider.run({ ...ctx, signal: controller.signal })),
+      timedOut
+    ]).then(value => {
+      entry.value = value === undefined ? null : value;
+      entry.error = null;
+      entry.lastOk = true;
+      entry.updatedAt = now();
+    }, err => {
+      entry.error = (err && err.message) || String(err);
+      entry.lastOk = false;
+    }).finally(() => {
+      clearTimeout(timeout);
+      entry.checkedAt = now();
+      entry.durationMs = entry.checkedAt - startedAt;
+      slot.running = null;
+    });
+    return slot.running;
+  }
+
+  /**
+   * Run a provider after `delay`, then keep it on its interval. The next
+   * run is scheduled when the previous one finishes, so slow providers
+   * never overlap themselves.
+   */
+  function schedule(name, delay) {
+    const slot = providers.get(name);
+    clearTimeout(slot.timer);
+    slot.timer = setTimeout(() => {
+      refresh(name).then(() => {
+        if (started) schedule(name, slot.provider.intervalMs);
+      });
+    }, delay);
+    if (slot.timer.unref) slot.timer.unref();
+  }
+
+  /** Start refreshing every provider in the background. */
+  function start() {
+    if (started) return;
+    started = true;
+    for (const name of providers.keys()) schedule(name, 0);
+  }
+
+  function stop() {
+    started = false;
+    for (const slot of providers.values()) clearTimeout(slot.timer);
+  }
+
+  /**
+   * Cached results for every provider.
+   * @returns {object} name → { value, ok, stale, error, updatedAt, checkedAt, durationMs }
+   */
+  function snapshot() {
+    const out = {};
+    const t = now();
+    for (const [name, { provider, entry }] of providers) {
+      const staleMs = provider.staleMs || provider.intervalMs * 2 + (provider.timeoutMs || DEFAULT_TIMEOUT_MS);
+      const iso = ms => (ms === null ? null : new Date(ms).toISOString());
+      out[name] = {
+        value: entry.value,
+        ok: entry.lastOk,
+        stale: entry.updatedAt === null || t - entry.updatedAt > staleMs,
+        error: entry.error,
+        updatedAt: iso(entry.updatedAt),
+        checkedAt: iso(entry.checkedAt),
+        durationMs: entry.durationMs
+      };
+    }
+    return out;
+  }
+
+  /** @returns {string[]} Registered provider names. */
+  function names() {
+    return [...providers.keys()];
+  }
+
+  return { register, start, stop, refresh, snapshot, names };
+}
+
+module.exports = { createStatusRegistry, loadProviders, runCommand };
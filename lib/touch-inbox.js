@@ -0,0 +1,177 @@
+/**
+ * ============================================================================
+ * File:     dashboard/lib/touch-inbox.js
+ * Purpose:  Durable touch inbox for the agent (cursor + ack, never truncated)
+ *
+ * Touches from identified members are appended to data/touches.jsonl with
+ * a monotonic `id`. Reading never deletes anything — each consumer keeps
+ * a cursor (the last id it has handled) in data/touch-cursors.json and
+ * moves it forward with ack():
+ *
+ *   const inbox = createTouchInbox({ file, cursorsFile });
+ *   inbox.append({ type: 'click', who: 'ryan', ... });   // → { id: 42, ... }
+ *   inbox.list({ after: inbox.cursor('agent') });        // unhandled touches
+ *   inbox.ack('agent', 42);                              // handled up to 42
+ *
+ * If the agent crashes between reading and acking, it simply reads the
+ * same touches again; two consumers each see every touch. wait() and
+ * subscribe() let callers block until the next touch instead of polling.
+ *
+ * Only the newest `maxEvents` touches are kept; older ones are dropped
+ * when the file is compacted, acked or not.
+ *
+ * Dependencies: ./json-file
+ * ============================================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readJson, writeJsonAtomic } = require('./json-file');
+
+/** Touches kept on disk. */
+const DEFAULT_MAX_EVENTS = 1000;
+
+/** Consumer names: short, URL- and file-safe. */
+const CONSUMER_PATTERN = /^[a-z0-9_-]{1,40}$/;
+
+/**
+ * Read a JSONL file, skipping lines that don't parse.
+ * @param {string} file
+ * @returns {object[]}
+ */
+function readLines(file) {
+  let raw = '';
+  try { raw = fs.readFileSync(file, 'utf8'); } catch { return []; }
+  const out = [];
+  for (const line of raw.split('\n')) {
+    if (!line.trim()) continue;
+    try { out.push(JSON.parse(line)); } catch {}
+  }
+  return out;
+}
+
+/**
+ * Create a touch inbox.
+ * @param {object} opts
+ * @param {string} opts.file - data/touches.jsonl
+ * @param {string} opts.cursorsFile - data/touch-cursors.json
+ * @param {number} [opts.maxEvents=1000]
+ * @returns {object} { append, list, lastId, cursor, cursors, ack, wait, subscribe }
+ */
+function createTouchInbox({ file, cursorsFile, maxEvents = DEFAULT_MAX_EVENTS }) {
+  let events = readLines(file).filter(e => Number.isInteger(e.id));
+  const listeners = new Set();
+
+  /** @returns {object} consumer → last acked id */
+  function cursors() {
+    const doc = readJson(cursorsFile, {});
+    return doc && typeof doc === 'object' && !Array.isArray(doc) ? doc : {};
+  }
+
+  // Ids must keep climbing even if touches.jsonl was deleted, or every
+  // consumer would skip the new touches as already handled
+  let nextId = Math.max(0, ...events.map(e => e.id), ...Object.values(cursors()).filter(Number.isInteger)) + 1;
+
+  /** Rewrite the file with only the newest maxEvents touches. */
+  function compact() {
+    events = events.slice(-maxEvents);
+    const tmp = path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}.tmp`);
+    fs.writeFileSync(tmp, events.map(e => JSON.stringify(e) + '\n').join(''));
+    fs.renameSync(tmp, file);
+  }
+
+  /**
+   * Add a touch.
+   * @param {object} touch - Touch log entry.
+   * @returns {object} The stored event ({ id, ...touch }).
+   */
+  function append(touch) {
+    const event = { id: nextId++, ...touch };
+    fs.appendFileSync(file, JSON.stringify(event) + '\n');
+    events.push(event);
+    // Compact in batches rather than rewriting the file on every touch
+    if (events.length > maxEvents + Math.ceil(maxEvents / 10)) compact();
+    for (const fn of listeners) {
+      try { fn(event); } catch {}
+    }
+    return event;
+  }
+
+  /**
+   * Touches after an id, oldest first.
+   * @param {object} [opts] - { after = 0, limit = 100 }
+   * @returns {object[]}
+   */
+  function list({ after = 0, limit = 100 } = {}) {
+    const out = [];
+    for (const e of events) {
+      if (e.id <= after) continue;
+      out.push(e);
+      if (out.length >= limit) break;
+    }
+    return out;
+  }
+
+  /** @returns {number} Id of the newest touch (0 if none yet). */
+  function lastId() {
+    return nextId - 1;
+  }
+
+  /**
+   * A consumer's cursor.
+   * @param {string} consumer
+   * @returns {number} Last acked id (0 if it has never acked).
+   */
+  function cursor(consumer) {
+    return cursors()[consumer] || 0;
+  }
+
+  /**
+   * Mark touches up to `id` as handled. Cursors only move forward.
+   * @param {string} consumer
+   * @param {number} id
+   * @returns {number} The consumer's cursor afterwards.
+   */
+  function ack(consumer, id) {
+    const all = cursors();
+    const next = Math.max(all[consumer] || 0, Math.min(id, lastId()));
+    if (next !== all[consumer]) writeJsonAtomic(cursorsFile, { ...all, [consumer]: next });
+    return next;
+  }
+
+  /**
+   * Call `fn(event)` for every new touch.
+   * @param {function(object)} fn
+   * @returns {function()} Unsubscribe.
+   */
+  function subscribe(fn) {
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+  }
+
+  /**
+   * Long-poll: resolve with touches after `after` as soon as there are any.
+   * @param {object} opts - { after, limit, timeoutMs, signal }
+   * @returns {Promise<object[]>} Empty if the timeout passes (or `signal` aborts) first.
+   */
+  function wait({ after = 0, limit = 100, timeoutMs, signal }) {
+    const ready = list({ after, limit });
+    if (ready.length || !(timeoutMs > 0)) return Promise.resolve(ready);
+    return new Promise(resolve => {
+      let timer = null;
+      const done = () => {
+        clearTimeout(timer);
+        unsubscribe();
+        if (signal) signal.removeEventListener('abort', done);
+        resolve(list({ after, limit }));
+      };
+      const unsubscribe = subscribe(done);
+      timer = setTimeout(done, timeoutMs);
+      if (signal) signal.addEventListener('abort', done);
+    });
+  }
+
+  return { append, list, lastId, cursor, cursors, ack, wait, subscribe };
+}
+
+module.exports = { createTouchInbox, CONSUMER_PATTERN };
@@ -0,0 +1,322 @@
+/**
+ * ============================================================================
+ * File:     dashboard/lib/touch-reactions.js
+ * Purpose:  Weighted, condition-aware tap reactions (data/reactions.json)
+ *
+ * Every single tap (and long-press) on the sprite picks one reaction from
+ * the pool:
+ *
+ *   {
+ *     "id": "sleepy-poke",
+ *     "mood": "embarrassed", "status": "wha—?! I was asleep 😳",
+ *     "gesture": "tap",               // or "longpress" (petting); default "tap"
+ *     "weight": 3,                    // relative odds (default 1)
+ *     "cooldownMs": 60000,            // not picked again for this long
+ *     "when": {                       // every condition given must hold
+ *       "moods": ["sleeping"],        // the agent's mood under any reaction
+ *       "rooms": ["bedroom"],
+ *       "hours": [22, 6],             // from-to, server local time; wraps midnight
+ *       "who": ["miranda"],           // member ids
+ *       "streak": { "min": 5 }        // rapid taps in a row (min/max, inclusive)
+ *     }
+ *   }
+ *
+ * Taps less than `streakWindowMs` apart count as a streak. The most
+ * specific reactions win: only the highest matching `streak.min` tier is
+ * considered, so five rapid taps escalate from "hey!" to `angry` instead
+ * of merely making it possible. Within a tier, reactions aimed at the
+ * tapper (`who`, or their member `reactions` pool) beat general ones, and
+ * weights decide among the rest. Reactions still cooling down are skipped
+ * unless nothing else is left.
+ *
+ * Usage:
+ *   const picker = createReactionPicker({ loadReactions, seed: 42 });
+ *   const streak = picker.recordTap(who || ip);
+ *   const { reaction } = picker.pick({ mood, room, hour, who, streak }, memberPool);
+ *
+ * With a `seed` the picks are reproducible (tests, POST /api/reactions/test).
+ *
+ * Dependencies: ./routine (seededRandom)
+ * ============================================================================
+ */
+
+const { seededRandom } = require('./routine');
+
+/** Document-level defaults. */
+const REACTIONS_DEFAULTS = {
+  streakWindowMs: 3000,
+  cooldownMs: 0
+};
+
+/** Gestures a reaction can answer. */
+const GESTURES = ['tap', 'longpress'];
+
+/** Condition keys a reaction's `when` may use. */
+const CONDITIONS = ['moods', 'rooms', 'hours', 'who', 'streak'];
+
+/** Reaction ids: the same shape as location names. */
+const ID_PATTERN = /^[a-z0-9_-]{1,40}$/;
+
+/**
+ * Fill in document defaults.
+ * @param {object} doc - { streakWindowMs?, cooldownMs?, reactions }
+ * @returns {object}
+ */
+function withDefaults(doc) {
+  return { ...REACTIONS_DEFAULTS, ...doc, reactions: (doc && doc.reactions) || [] };
+}
+
+/**
+ * Validate one reaction.
+ * @param {object} r
+ * @param {object} ctx - { moods, rooms }
+ * @param {string} [at=''] - Field path prefix for error keys.
+ * @returns {object|null} Map of field path → error message, or null if valid.
+ */
+function validateReaction(r, ctx, at = '') {
+  const key = field => (at ? `${at}.${field}` : field);
+  if (!r || typeof r !== 'object' || Array.isArray(r)) return { [at]: 'Must be an object' };
+  const errors = {};
+  if (typeof r.id !== 'string' || !ID_PATTERN.test(r.id)) {
+    errors[key('id')] = 'Expected 1–40 lowercase letters, digits, "-" or "_"';
+  }
+  if (!ctx.moods.includes(r.mood)) errors[key('mood')] = `Unknown mood "${r.mood}"`;
+  if (typeof r.status !== 'string' || !r.status.trim() || r.status.length > 80) {
+    errors[key('status')] = 'Must be a non-empty string of at most 80 characters';
+  }
+  if (r.gesture !== undefined && !GESTURES.includes(r.gesture)) {
+    errors[key('gesture')] = `Must be one of ${GESTURES.join(', ')}`;
+  }
+  if (r.weight !== undefined && !(Number.isFinite(r.weight) && r.weight > 0)) {
+    errors[key('weight')] = 'Must be a number > 0';
+  }
+  if (r.cooldownMs !== undefined && !(Number.isFinite(r.cooldownMs) && r.cooldownMs >= 0)) {
+    errors[key('cooldownMs')] = 'Must be a number ≥ 0';
+  }
+
+  const w = r.when;
+  if (w === undefined) return Object.keys(errors).length ? errors : null;
+  if (!w || typeof w !== 'object' || Array.isArray(w)) {
+    errors[key('when')] = 'Must be an object';
+    return errors;
+  }
+  for (const k of Object.keys(w)) {
+    if (!CONDITIONS.includes(k)) errors[key(`when.${k}`)] = `Unknown condition (expected ${CONDITIONS.join(', ')})`;
+  }
+  const checkList = (field, known) => {
+    const list = w[field];
+    if (list === undefined) return;
+    if (!Array.isArray(list) || !list.length || list.some(v => typeof v !== 'string')) {
+      errors[key(`when.${field}`)] = 'Must be a non-empty array of strings';
+      return;
+    }
+    const bad = known && list.find(v => !known.includes(v));
+    if (bad) errors[key(`when.${field}`)] = `Unknown ${field.slice(0, -1)} "${bad}"`;
+  };
+  checkList('moods', ctx.moods);
+  checkList('rooms', ctx.rooms);
+  checkList('who', null);
+  if (w.hours !== undefined) {
+    const ok = Array.isArray(w.hours) && w.hours.length === 2 &&
+      w.hours.every(h => Number.isInteger(h) && h >= 0 && h <= 24) && w.hours[0] !== w.hours[1];
+    if (!ok) errors[key('when.hours')] = 'Expected [from, to] whole hours 0–24 (to is exclusive; may wrap midnight)';
+  }
+  if (w.streak !== undefined) {
+    const s = w.streak;
+    const count = v => v === undefined || (Number.isInteger(v) && v >= 1);
+    if (!s || typeof s !== 'object' || (s.min === undefined && s.max === undefined) || !count(s.min) || !count(s.max)) {
+      errors[key('when.streak')] = 'Expected { min?, max? } with whole numbers ≥ 1';
+    } else if (s.min !== undefined && s.max !== undefined && s.max < s.min) {
+      errors[key('when.streak')] = 'max must be ≥ min';
+    }
+  }
+  return Object.keys(errors).length ? errors : null;
+}
+
+/**
+ * Validate a reactions document.
+ * @param {object} doc - { streakWindowMs?, cooldownMs?, reactions: [...] }
+ * @param {object} ctx - { moods, rooms }
+ * @returns {object|null} Map of field path → error message, or null if valid.
+ */
+function validateReactions(doc, ctx) {
+  if (!doc || typeof doc !== 'object' || !Array.isArray(doc.reactions)) {
+    return { reactions: 'Must be an array' };
+  }
+  const errors = {};
+  for (const k of ['streakWindowMs', 'cooldownMs']) {
+    if (doc[k] !== undefined && !(Number.isFinite(doc[k]) && doc[k] >= 0)) errors[k] = 'Must be a number ≥ 0';
+  }
+  const seen = new Set();
+  doc.reactions.forEach((r, i) => {
+    Object.assign(errors, validateReaction(r, ctx, `reactions[${i}]`));
+    if (r && seen.has(r.id)) errors[`reactions[${i}].id`] = `Duplicate id "${r.id}"`;
+    if (r) seen.add(r.id);
+  });
+  return Object.keys(errors).length ? errors : null;
+}
+
+/**
+ * Does a reaction's `when` hold for a tap?
+ * @param {object} [when]
+ * @param {object} tap - { mood, room, hour, who, streak }
+ * @returns {boolean}
+ */
+function matchesWhen(when, tap) {
+  if (!when) return true;
+  if (when.moods && !when.moods.includes(tap.mood)) return false;
+  if (when.rooms && !when.rooms.includes(tap.room)) return false;
+  if (when.who && !when.who.includes(tap.who)) return false;
+  if (when.hours) {
+    const [from, to] = when.hours;
+    const inside = from < to ? tap.hour >= from && tap.hour < to : tap.hour >= from || tap.hour < to;
+    if (!inside) return false;
+  }
+  if (when.streak) {
+    if (when.streak.min !== undefined && tap.streak < when.streak.min) return false;
+    if (when.streak.max !== undefined && tap.streak > when.streak.max) return false;
+  }
+  return true;
+}
+
+/**
+ * Reactions eligible for a tap, narrowed to the most specific tier.
+ * @param {object[]} reactions - Document reactions plus any member pool.
+ * @param {object} tap - { gesture?, mood, room, hour, who, streak }
+ * @returns {object[]}
+ */
+function candidatesFor(reactions, tap) {
+  const gesture = tap.gesture || 'tap';
+  let matched = reactions.filter(r => (r.gesture || 'tap') === gesture && matchesWhen(r.when, tap));
+  const tier = r => (r.when && r.when.streak && r.when.streak.min) || 0;
+  const top = Math.max(0, ...matched.map(tier));
+  matched = matched.filter(r => tier(r) === top);
+  const aimed = matched.filter(r => r.when && r.when.who);
+  return aimed.length ? aimed : matched;
+}
+
+/**
+ * Turn a member's personal pool into reactions aimed at them.
+ * @param {object|null} member - Public member ({ id, reactions? }).
+ * @returns {object[]}
+ */
+function memberReactions(member) {
+  if (!member || !Array.isArray(member.reactions)) return [];
+  return member.reactions.map((r, i) => ({
+    id: `member-${member.id}-${i}`, mood: r.mood, status: r.status, when: { who: [member.id] }
+  }));
+}
+
+/**
+ * Weighted random choice.
+ * @param {object[]} list - Items with an optional `weight` (default 1).
+ * @param {function(): number} rand
+ * @returns {object|null}
+ */
+function weightedPick(list, rand) {
+  const total = list.reduce((sum, r) => sum + (r.weight || 1), 0);
+  let roll = rand() * total;
+  for (const r of list) {
+    roll -= r.weight || 1;
+    if (roll < 0) return r;
+  }
+  return list.length ? list[list.length - 1] : null;
+}
+
+/**
+ * Create a stateful picker (tap streaks and cooldowns live here).
+ * @param {object} opts
+ * @param {function(): object} opts.loadReactions - Returns the reactions document.
+ * @param {number} [opts.seed] - Makes picks reproducible.
+ * @param {function(): number} [opts.now]
+ * @returns {object} { recordTap, pick, preview, reset }
+ */
+function createReactionPicker({ loadReactions, seed, now = () => Date.now() }) {
+  let rand = seed === undefined ? Math.random : seededRandom(seed);
+
+  /** Tapper key → { count, at } */
+  const streaks = new Map();
+
+  /** Reaction id → when it was last picked (epoch ms). */
+  const lastUsed = new Map();
+  let lastId = null;
+
+  /**
+   * Count a tap towards the tapper's streak.
+   * @param {string} key - Member id, or IP for unidentified tappers.
+   * @returns {number} Taps in the current streak, including this one.
+   */
+  function recordTap(key) {
+    const { streakWindowMs } = withDefaults(loadReactions());
+    const t = now();
+    const prev = streaks.get(key);
+    const count = prev && t - prev.at <= streakWindowMs ? prev.count + 1 : 1;
+    streaks.set(key, { count, at: t });
+    return count;
+  }
+
+  /**
+   * Candidates for a tap with their odds, without picking anything.
+   * @param {object} tap - { mood, room, hour, who, streak }
+   * @param {object[]} [extra] - More reactions (e.g. from memberReactions()).
+   * @param {object} [opts] - { doc, ignoreCooldowns }
+   * @returns {object[]} [{ ...reaction, coolingDown, chance }]
+   */
+  function preview(tap, extra = [], { doc = loadReactions(), ignoreCooldowns = false } = {}) {
+    const d = withDefaults(doc);
+    const t = now();
+    const candidates = candidatesFor([...d.reactions, ...extra], tap).map(r => {
+      const cooldownMs = r.cooldownMs !== undefined ? r.cooldownMs : d.cooldownMs;
+      const used = lastUsed.get(r.id);
+      return { ...r, coolingDown: !ignoreCooldowns && used !== undefined && t - used < cooldownMs };
+    });
+
+    let eligible = candidates.filter(r => !r.coolingDown);
+    if (!eligible.length) {
+      // Everything is cooling down — at least don't repeat the last one
+      eligible = candidates.length > 1 ? candidates.filter(r => r.id !== lastId) : candidates;
+    }
+    const total = eligible.reduce((sum, r) => sum + (r.weight || 1), 0);
+    return candidates.map(r => ({ ...r, chance: eligible.includes(r) ? (r.weight || 1) / total : 0 }));
+  }
+
+  /**
+   * Pick a reaction for a tap and start its cooldown.
+   * @param {object} tap - { mood, room, hour, who, streak }
+   * @param {object[]} [extra]
+   * @returns {object|null} { id, reaction: { mood, status } }, or null if nothing matches.
+   */
+  function pick(tap, extra = []) {
+    const chosen = weightedPick(preview(tap, extra).filter(r => r.chance > 0), rand);
+    if (!chosen) return null;
+    lastUsed.set(chosen.id, now());
+    lastId = chosen.id;
+    return { id: chosen.id, reaction: { mood: chosen.mood, status: chosen.status } };
+  }
+
+  /**
+   * Forget streaks and cooldowns (and reseed, if given a seed).
+   * @param {number} [newSeed]
+   */
+  function reset(newSeed) {
+    streaks.clear();
+    lastUsed.clear();
+    lastId = null;
+    if (newSeed !== undefined) rand = seededRandom(newSeed);
+  }
+
+  return { recordTap, pick, preview, reset };
+}
+
+module.exports = {
+  REACTIONS_DEFAULTS,
+  GESTURES,
+  withDefaults,
+  validateReaction,
+  validateReactions,
+  matchesWhen,
+  candidatesFor,
+  memberReactions,
+  weightedPick,
+  createReactionPicker
+};
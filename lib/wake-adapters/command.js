@@ -0,0 +1,52 @@
+/**
+ * ============================================================================
+ * File:     dashboard/lib/wake-adapters/command.js
+ * Purpose:  Wake adapter — run a shell command template
+ *
+ * Config: { "type": "command", "command": "openclaw system event --mode now --text {text}" }
+ *
+ * Placeholders {text}, {who}, {type} and {id} are replaced with the wake's
+ * values, single-quoted for the shell — don't add quotes around them.
+ * A non-zero exit (or the timeout) counts as a failed attempt.
+ *
+ * Dependencies: ../status-registry (runCommand)
+ * ============================================================================
+ */
+
+const { runCommand } = require('../status-registry');
+
+/**
+ * Quote a value for a POSIX shell.
+ * @param {*} value
+ * @returns {string}
+ */
+function shellQuote(value) {
+  return `'${String(value === null || value === undefined ? '' : value).replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Fill a command template.
+ * @param {string} template
+ * @param {object} wake - { id, who, type, text }
+ * @returns {string}
+ */
+function fillTemplate(template, wake) {
+  return template.replace(/\{(text|who|type|id)\}/g, (_, key) => shellQuote(wake[key]));
+}
+
+module.exports = {
+  type: 'command',
+
+  validate(config) {
+    if (typeof config.command !== 'string' || !config.command.trim()) {
+      return { command: 'Must be a non-empty command template' };
+    }
+    return null;
+  },
+
+  async deliver(wake, config, { signal, timeoutMs, env }) {
+    await runCommand(fillTemplate(config.command, wake), { timeoutMs, signal, env });
+  },
+
+  fillTemplate
+};
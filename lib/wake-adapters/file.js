@@ -0,0 +1,73 @@
+/**
+ * ============================================================================
+ * File:     dashboard/lib/wake-adapters/file.js
+ * Purpose:  Wake adapter — drop the wake into a local file or queue folder
+ *
+ * Config, one of:
+ *   { "type": "file", "path": "data/wakes-out.jsonl" }   // append a JSON line
+ *   { "type": "file", "dir": "data/wake-queue" }         // one <ts>-<id>.json per wake
+ *
+ * Paths are relative to the dashboard folder and must stay inside data/ —
+ * the adapter never writes anywhere else. Queue files are written to a
+ * temp name and renamed, so a watcher never reads half a wake.
+ *
+ * Dependencies: None — Node.js built-ins only.
+ * ============================================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Is a configured path a relative one inside data/?
+ * @param {string} p
+ * @returns {boolean}
+ */
+function isInsideData(p) {
+  if (path.isAbsolute(p) || p.includes('\\')) return false;
+  const parts = path.posix.normalize(p).split('/');
+  return parts[0] === 'data' && parts.length > 1 && !parts.includes('..');
+}
+
+/**
+ * Resolve a configured path, refusing anything outside <dashDir>/data.
+ * @param {string} dashDir
+ * @param {string} p
+ * @returns {string}
+ */
+function resolveInData(dashDir, p) {
+  const dataDir = path.join(dashDir, 'data');
+  const full = path.resolve(dashDir, p);
+  if (!isInsideData(p) || !full.startsWith(dataDir + path.sep)) {
+    throw new Error(`file: ${p} is outside data/`);
+  }
+  return full;
+}
+
+module.exports = {
+  type: 'file',
+
+  validate(config) {
+    const hasPath = typeof config.path === 'string' && config.path.trim() !== '';
+    const hasDir = typeof config.dir === 'string' && config.dir.trim() !== '';
+    if (hasPath === hasDir) return { path: 'Give exactly one of path (JSONL file) or dir (queue folder)' };
+    const key = hasPath ? 'path' : 'dir';
+    if (!isInsideData(config[key])) return { [key]: 'Must be a relative path inside data/ (e.g. "data/wakes-out.jsonl")' };
+    return null;
+  },
+
+  async deliver(wake, config, { dashDir }) {
+    if (config.path) {
+      const file = resolveInData(dashDir, config.path);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.appendFile(file, JSON.stringify(wake) + '\n');
+      return;
+    }
+    const dir = resolveInData(dashDir, config.dir);
+    await fs.promises.mkdir(dir, { recursive: true });
+    const name = `${Date.parse(wake.ts)}-${wake.id}.json`;
+    const tmp = path.join(dir, `.${name}.tmp`);
+    await fs.promises.writeFile(tmp, JSON.stringify(wake, null, 2) + '\n');
+    await fs.promises.rename(tmp, path.join(dir, name));
+  }
+};
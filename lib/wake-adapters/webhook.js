@@ -0,0 +1,50 @@
+/**
+ * ============================================================================
+ * File:     dashboard/lib/wake-adapters/webhook.js
+ * Purpose:  Wake adapter — POST the wake as JSON to a URL
+ *
+ * Config: { "type": "webhook", "url": "http://127.0.0.1:9000/wake",
+ *           "headers": { "Authorization": "Bearer ..." } }
+ *
+ * Body: { id, ts, who, type, text }. Any 2xx is a delivery; anything
+ * else (or a network error/timeout) is a failed attempt.
+ *
+ * Dependencies: None — Node.js built-ins only (global fetch).
+ * ============================================================================
+ */
+
+module.exports = {
+  type: 'webhook',
+
+  validate(config) {
+    const errors = {};
+    let url = null;
+    try { url = new URL(config.url); } catch {}
+    if (!url || !['http:', 'https:'].includes(url.protocol)) errors.url = 'Must be an http(s) URL';
+    if (config.headers !== undefined) {
+      const h = config.headers;
+      if (!h || typeof h !== 'object' || Array.isArray(h) || Object.values(h).some(v => typeof v !== 'string')) {
+        errors.headers = 'Must be an object of header → string';
+      }
+    }
+    return Object.keys(errors).length ? errors : null;
+  },
+
+  async deliver(wake, config, { signal, timeoutMs }) {
+    let res;
+    try {
+      res = await fetch(config.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...(config.headers || {}) },
+        body: JSON.stringify(wake),
+        signal: AbortSignal.any([signal, AbortSignal.timeout(timeoutMs)])
+      });
+    } catch (err) {
+      // fetch() only says "fetch failed"; the reason (ECONNREFUSED, ...) is on `cause`
+      throw new Error(`webhook: ${(err.cause && (err.cause.code || err.cause.message)) || err.message}`);
+    }
+    // Drain the body so the connection can be reused
+    await res.arrayBuffer().catch(() => {});
+    if (!res.ok) throw new Error(`webhook: HTTP ${res.status}`);
+  }
+};
@@ -0,0 +1,251 @@
+/**
+ * ============================================================================
+ * File:     dashboard/lib/wake.js
+ * Purpose:  Wake the agent through pluggable adapters, with throttling,
+ *           retries and a delivery log
+ *
+ * A double-click on the sprite asks for the agent. How that request
+ * reaches it is an *adapter* (lib/wake-adapters/):
+ *
+ *   module.exports = {
+ *     type: 'webhook',
+ *     validate(config) { return null; },          // or { field: 'error' }
+ *     async deliver(wake, config, { signal, timeoutMs, env, dashDir }) { ... }
+ *   };
+ *
+ * Built in: `command` (shell template), `webhook` (POST JSON) and `file`
+ * (JSONL append or queue folder). Which ones run, and how often, comes
+ * from the `wake` settings section (lib/settings.js):
+ *
+ *   { "adapters": [{ "type": "command", "command": "openclaw system event --mode now --text {text}" }],
+ *     "throttleMs": 30000, "throttle": { "ryan": 10000, "unknown": 120000 },
+ *     "unknownVisitors": true, "retries": 2, "backoffMs": 1000, "timeoutMs": 10000 }
+ *
+ * Throttling is per member (per IP for visitors who haven't picked an
+ * emoji). Every wake — delivered, failed, throttled or dropped — lands in
+ * an in-memory log for GET /api/wakes. A wake is "delivered" when every
+ * adapter succeeded, "partial" when only some did.
+ *
+ * Adapters come only from the env or a hand-edited data/settings.json:
+ * PUT /api/settings/wake refuses them, so an owner cookie can't turn into
+ * running commands, writing files or calling arbitrary URLs.
+ *
+ * Usage:
+ *   const waker = createWaker({ getSettings: () => settings.get('wake'), ctx });
+ *   const { entry, done } = waker.wake({ who, key, type: 'doubleclick', text });
+ *
+ * Dependencies: ./wake-adapters/*
+ * ============================================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/** Wakes kept in the log. */
+const LOG_SIZE = 200;
+
+/**
+ * Load every adapter module in a directory, keyed by type.
+ * @param {string} dir
+ * @returns {object} type → adapter
+ */
+function loadAdapters(dir = path.join(__dirname, 'wake-adapters')) {
+  const out = {};
+  for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.js')).sort()) {
+    const adapter = require(path.join(dir, file));
+    out[adapter.type] = adapter;
+  }
+  return out;
+}
+
+/**
+ * Validate the wake settings section. Every field is optional (missing
+ * ones fall back to env/defaults).
+ *
+ * Adapters run commands, write files and call URLs, so they only come
+ * from the install itself (WAKE_* env vars, data/settings.json) — pass
+ * `allowAdapters: false` when the settings arrive over HTTP.
+ *
+ * @param {object} value
+ * @param {object} adapters - From loadAdapters().
+ * @param {object} [opts]
+ * @param {boolean} [opts.allowAdapters=true] - Accept an `adapters` list.
+ * @returns {object|null} Map of field path → error message, or null if valid.
+ */
+function validateWakeSettings(value, adapters, { allowAdapters = true } = {}) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return { '': 'Must be a JSON object' };
+  const errors = {};
+  const known = ['adapters', 'throttleMs', 'throttle', 'unknownVisitors', 'retries', 'backoffMs', 'timeoutMs'];
+  for (const key of Object.keys(value)) {
+    if (!known.includes(key)) errors[key] = 'Unknown field';
+  }
+  if (value.adapters !== undefined && !allowAdapters) {
+    errors.adapters = 'Adapters are set with WAKE_* env vars or data/settings.json, not over the API';
+  } else if (value.adapters !== undefined) {
+    if (!Array.isArray(value.adapters)) {
+      errors.adapters = 'Must be an array';
+    } else {
+      value.adapters.forEach((a, i) => {
+        const at = `adapters[${i}]`;
+        const adapter = a && adapters[a.type];
+        if (!adapter) {
+          errors[`${at}.type`] = `Must be one of ${Object.keys(adapters).join(', ')}`;
+          return;
+        }
+        for (const [field, msg] of Object.entries(adapter.validate(a) || {})) errors[`${at}.${field}`] = msg;
+      });
+    }
+  }
+  const ms = (key, v) => {
+    if (v !== undefined && !(Number.isFinite(v) && v >= 0)) errors[key] = 'Must be a number of milliseconds ≥ 0';
+  };
+  ms('throttleMs', value.throttleMs);
+  ms('backoffMs', value.backoffMs);
+  if (value.timeoutMs !== undefined && !(Number.isFinite(value.timeoutMs) && value.timeoutMs >= 100)) {
+    errors.timeoutMs = 'Must be at least 100 ms';
+  }
+  if (value.throttle !== undefined) {
+    if (!value.throttle || typeof value.throttle !== 'object' || Array.isArray(value.throttle)) {
+      errors.throttle = 'Must be an object of member id → milliseconds';
+    } else {
+      for (const [who, v] of Object.entries(value.throttle)) ms(`throttle.${who}`, v);
+    }
+  }
+  if (value.unknownVisitors !== undefined && typeof value.unknownVisitors !== 'boolean') {
+    errors.unknownVisitors = 'Must be true or false';
+  }
+  if (value.retries !== undefined && !(Number.isInteger(value.retries) && value.retries >= 0 && value.retries <= 10)) {
+    errors.retries = 'Must be an integer from 0 to 10';
+  }
+  return Object.keys(errors).length ? errors : null;
+}
+
+/**
+ * Create a waker.
+ * @param {object} opts
+ * @param {function(): object} opts.getSettings - Current wake settings (complete).
+ * @param {object} [opts.ctx] - { env, dashDir } passed to adapters.
+ * @param {object} [opts.adapters] - type → adapter (default: lib/wake-adapters/).
+ * @param {function(): number} [opts.now]
+ * @returns {object} { wake, log, adapters }
+ */
+function createWaker({ getSettings, ctx = {}, adapters = loadAdapters(), now = () => Date.now() }) {
+  /** Throttle key → when its last wake went out (epoch ms). */
+  const lastWake = new Map();
+
+  /** Newest last. */
+  const entries = [];
+  let nextId = 1;
+
+  function remember(entry) {
+    entries.push(entry);
+    if (entries.length > LOG_SIZE) entries.shift();
+  }
+
+  const sleep = ms => new Promise(resolve => {
+    const t = setTimeout(resolve, ms);
+    if (t.unref) t.unref();
+  });
+
+  /**
+   * Deliver through one adapter, retrying with exponential backoff.
+   * @returns {Promise<void>} Updates `result` in place; never rejects.
+   */
+  async function deliverVia(adapter, config, wake, result, prefs) {
+    for (let attempt = 0; attempt <= prefs.retries; attempt++) {
+      if (attempt) await sleep(prefs.backoffMs * 2 ** (attempt - 1));
+      result.attempts = attempt + 1;
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), prefs.timeoutMs);
+      try {
+        await adapter.deliver(wake, config, { ...ctx, signal: controller.signal, timeoutMs: prefs.timeoutMs });
+        result.status = 'delivered';
+        result.error = null;
+        return;
+      } catch (err) {
+        result.error = (err && err.message) || String(err);
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+    result.status = 'failed';
+  }
+
+  /**
+   * Ask for the agent.
+   * @param {object} req
+   * @param {string|null} req.who - Member id (null for unidentified visitors).
+   * @param {string} req.key - Throttle key (member id, or the visitor's IP).
+   * @param {string} req.type - What triggered it, e.g. 'doubleclick'.
+   * @param {string} req.text - Message for the agent.
+   * @param {boolean} [req.force] - Skip throttling (test wakes).
+   * @returns {object} { entry, done } — `done` resolves with the entry once
+   *   every adapter has finished (immediately if throttled/dropped).
+   */
+  function wake({ who, key, type, text, force = false }) {
+    const prefs = getSettings();
+    const t = now();
+    const entry = {
+      id: nextId++,
+      ts: new Date(t).toISOString(),
+      who: who || null,
+      type,
+      text,
+      status: 'pending',
+      adapters: []
+    };
+    remember(entry);
+
+    if (!who && !prefs.unknownVisitors && !force) {
+      entry.status = 'dropped';
+      entry.reason = 'unknown visitors are off (wake.unknownVisitors)';
+      return { entry, done: Promise.resolve(entry) };
+    }
+
+    const throttleMs = (prefs.throttle || {})[who || 'unknown'] ?? prefs.throttleMs;
+    const last = lastWake.get(key);
+    if (!force && last !== undefined && t - last < throttleMs) {
+      entry.status = 'throttled';
+      entry.retryAfterMs = throttleMs - (t - last);
+      return { entry, done: Promise.resolve(entry) };
+    }
+    lastWake.set(key, t);
+
+    const wakeBody = { id: entry.id, ts: entry.ts, who: entry.who, type, text };
+    const runs = (prefs.adapters || []).map(config => {
+      const result = { type: config.type, status: 'pending', attempts: 0, error: null };
+      entry.adapters.push(result);
+      const adapter = adapters[config.type];
+      if (!adapter) {
+        result.status = 'failed';
+        result.error = `Unknown wake adapter "${config.type}"`;
+        return Promise.resolve();
+      }
+      return deliverVia(adapter, config, wakeBody, result, prefs);
+    });
+
+    const done = Promise.all(runs).then(() => {
+      const ok = entry.adapters.filter(a => a.status === 'delivered').length;
+      entry.status = !entry.adapters.length ? 'failed'
+        : ok === entry.adapters.length ? 'delivered'
+          : ok ? 'partial' : 'failed';
+      if (!entry.adapters.length) entry.reason = 'no wake adapters configured';
+      if (entry.status !== 'delivered') console.error(`Wake ${entry.id} ${entry.status}:`, entry.adapters.map(a => a.error).filter(Boolean).join('; '));
+      return entry;
+    });
+    return { entry, done };
+  }
+
+  /**
+   * Recent wakes, newest first.
+   * @param {number} [limit=50]
+   * @returns {object[]}
+   */
+  function log(limit = 50) {
+    return entries.slice(-limit).reverse().map(e => ({ ...e, adapters: e.adapters.map(a => ({ ...a })) }));
+  }
+
+  return { wake, log, adapters };
+}
+
+module.exports = { createWaker, loadAdapters, validateWakeSettings };
@@ -0,0 +1,208 @@
+/**
+ * ============================================================================
+ * File:     dashboard/lib/weather-rules.js
+ * Purpose:  Data-driven weather reactions (data/weather-rules.json)
+ *
+ * Each rule matches on WMO weather codes (and optionally day/night) and
+ * bends the daily routine:
+ *
+ *   {
+ *     "name": "rain-indoors",
+ *     "codes": ["61-99"],              // single codes or "from-to" ranges
+ *     "night": true,                   // optional: only at night (false = only by day)
+ *     "avoidRooms": ["garden", "rooftop"],
+ *     "fallback": { "room": "workshop", "locations": ["fireplace"] },
+ *     "moods": ["cozy"], "moodWeight": 3,   // mixed into the window's mood pool
+ *     "statuses": ["listening to the rain 🌧️"],  // mixed into the status pool
+ *     "statusLine": "it's snowing! ❄️",        // appended as an extra line
+ *     "boost": { "chance": 0.5, "windows": ["evening"],
+ *                "room": "rooftop", "locations": ["stars"], "moods": ["awe"] },
+ *     "overlay": "rain",                // visual effect on the room view
+ *     "accessory": "scarf"              // what Claudron wears (see FACE_FEATURES)
+ *   }
+ *
+ * Rules are applied in order. `boost` swaps the window for another activity
+ * with the given probability; `avoidRooms` then moves Claudron to the
+ * fallback room if he'd otherwise be somewhere he shouldn't be.
+ *
+ * Weather payloads only need { code, is_day }, so rules can be exercised
+ * with stubbed weather.
+ *
+ * Dependencies: ../js/claudron-face (accessory names)
+ * ============================================================================
+ */
+
+const { FACE_FEATURES } = require('../js/claudron-face');
+
+/** Overlay effects the dashboard knows how to draw. */
+const OVERLAYS = ['rain', 'snow', 'fog', 'storm'];
+
+/** Accessories a rule can put on him ("auto"/"none" are recipe-only). */
+const ACCESSORIES = FACE_FEATURES.accessory.filter(a => a !== 'auto' && a !== 'none');
+
+/**
+ * Parse a rule's `codes` list into [from, to] ranges.
+ * @param {Array<string|number>} codes - e.g. [0, "61-99"]
+ * @returns {Array<number[]>|null} Ranges, or null if any entry is malformed.
+ */
+function parseCodes(codes) {
+  if (!Array.isArray(codes) || !codes.length) return null;
+  const ranges = [];
+  for (const c of codes) {
+    const m = /^(\d+)(?:-(\d+))?$/.exec(String(c));
+    if (!m) return null;
+    const from = Number(m[1]);
+    const to = m[2] === undefined ? from : Number(m[2]);
+    if (to < from) return null;
+    ranges.push([from, to]);
+  }
+  return ranges;
+}
+
+/**
+ * Validate a rules document.
+ * @param {object} doc - { rules: [...] }
+ * @param {object} ctx - { rooms, moods, readRoomConfig }
+ * @returns {object|null} Map of field path → error message, or null if valid.
+ */
+function validateRules(doc, ctx) {
+  if (!doc || typeof doc !== 'object' || !Array.isArray(doc.rules)) {
+    return { rules: 'Must be an array' };
+  }
+  const errors = {};
+  const roomLocations = room => {
+    try { return Object.keys(ctx.readRoomConfig(room).locations || {}); } catch { return []; }
+  };
+  const checkMoods = (at, moods) => {
+    if (moods === undefined) return;
+    if (!Array.isArray(moods)) { errors[at] = 'Must be an array'; return; }
+    const bad = moods.find(m => !ctx.moods.includes(m));
+    if (bad) errors[at] = `Unknown mood "${bad}"`;
+  };
+  const checkStrings = (at, list) => {
+    if (list !== undefined && (!Array.isArray(list) || list.some(s => typeof s !== 'string'))) {
+      errors[at] = 'Must be an array of strings';
+    }
+  };
+  const checkPlace = (at, place) => {
+    if (!place || !ctx.rooms.includes(place.room)) {
+      errors[`${at}.room`] = `Unknown room "${place && place.room}"`;
+      return;
+    }
+    if (place.locations !== undefined) {
+      const known = roomLocations(place.room);
+      const bad = Array.isArray(place.locations) ? place.locations.find(l => !known.includes(l)) : '(not an array)';
+      if (bad !== undefined) errors[`${at}.locations`] = `Unknown location "${bad}" in room "${place.room}"`;
+    }
+  };
+
+  doc.rules.forEach((r, i) => {
+    const at = `rules[${i}]`;
+    if (!r || typeof r !== 'object') { errors[at] = 'Must be an object'; return; }
+    if (typeof r.name !== 'string' || !r.name) errors[`${at}.name`] = 'Required';
+    if (!parseCodes(r.codes)) errors[`${at}.codes`] = 'Expected a list of codes or "from-to" ranges';
+    if (r.night !== undefined && typeof r.night !== 'boolean') errors[`${at}.night`] = 'Must be true or false';
+    if (r.avoidRooms !== undefined) {
+      if (!Array.isArray(r.avoidRooms)) errors[`${at}.avoidRooms`] = 'Must be an array';
+      else if (!r.fallback) errors[`${at}.fallback`] = 'Required with avoidRooms';
+    }
+    if (r.fallback !== undefined) checkPlace(`${at}.fallback`, r.fallback);
+    checkMoods(`${at}.moods`, r.moods);
+    if (r.moodWeight !== undefined && !(Number.isInteger(r.moodWeight) && r.moodWeight >= 1)) {
+      errors[`${at}.moodWeight`] = 'Must be an integer ≥ 1';
+    }
+    checkStrings(`${at}.statuses`, r.statuses);
+    if (r.statusLine !== undefined && typeof r.statusLine !== 'string') errors[`${at}.statusLine`] = 'Must be a string';
+    if (r.boost !== undefined) {
+      const b = r.boost;
+      if (!b || !(b.chance > 0 && b.chance <= 1)) errors[`${at}.boost.chance`] = 'Must be between 0 and 1';
+      checkPlace(`${at}.boost`, b);
+      checkMoods(`${at}.boost.moods`, b && b.moods);
+      checkStrings(`${at}.boost.statuses`, b && b.statuses);
+      checkStrings(`${at}.boost.windows`, b && b.windows);
+    }
+    if (r.overlay !== undefined && !OVERLAYS.includes(r.overlay)) {
+      errors[`${at}.overlay`] = `Must be one of ${OVERLAYS.join(', ')}`;
+    }
+    if (r.accessory !== undefined && !ACCESSORIES.includes(r.accessory)) {
+      errors[`${at}.accessory`] = `Must be one of ${ACCESSORIES.join(', ')}`;
+    }
+  });
+
+  return Object.keys(errors).length ? errors : null;
+}
+
+/**
+ * Rules that apply to a weather payload.
+ * @param {object} doc - { rules: [...] }
+ * @param {object|null} weather - At least { code, is_day }.
+ * @returns {object[]} Matching rules, in document order.
+ */
+function matchRules(doc, weather) {
+  if (!weather || typeof weather.code !== 'number' || weather.code < 0) return [];
+  const isNight = weather.is_day === 0 || weather.is_day === false;
+  return ((doc && doc.rules) || []).filter(r => {
+    const ranges = parseCodes(r.codes);
+    if (!ranges || !ranges.some(([from, to]) => weather.code >= from && weather.code <= to)) return false;
+    if (r.night === true && !isNight) return false;
+    if (r.night === false && isNight) return false;
+    return true;
+  });
+}
+
+/**
+ * What the dashboard should show for a set of matched rules.
+ * @param {object[]} matched - From matchRules().
+ * @returns {object} { rules: string[], overlay: string|null, accessory: string|null }
+ */
+function describeEffects(matched) {
+  const withOverlay = matched.find(r => r.overlay);
+  const withAccessory = matched.find(r => r.accessory);
+  return {
+    rules: matched.map(r => r.name),
+    overlay: withOverlay ? withOverlay.overlay : null,
+    accessory: withAccessory ? withAccessory.accessory : null
+  };
+}
+
+/**
+ * Bend a routine window according to matched rules.
+ * @param {object} window - Routine window ({ name, room, locations, moods, statuses }).
+ * @param {object[]} matched - From matchRules().
+ * @param {function(): number} rand - Seeded random source (keeps previews exact).
+ * @returns {object} A new window object, plus `statusLines` to append.
+ */
+function applyToWindow(window, matched, rand) {
+  let w = { ...window, statusLines: [] };
+
+  for (const r of matched) {
+    const b = r.boost;
+    if (b && (!b.windows || b.windows.includes(window.name)) && rand() < b.chance) {
+      w = {
+        ...w,
+        room: b.room,
+        locations: b.locations,
+        moods: b.moods && b.moods.length ? b.moods : w.moods,
+        statuses: b.statuses && b.statuses.length ? b.statuses : w.statuses
+      };
+    }
+  }
+
+  for (const r of matched) {
+    if (r.avoidRooms && r.avoidRooms.includes(w.room) && r.fallback) {
+      w = { ...w, room: r.fallback.room, locations: r.fallback.locations };
+    }
+    if (r.moods && r.moods.length) {
+      const extra = [];
+      for (let i = 0; i < (r.moodWeight || 1); i++) extra.push(...r.moods);
+      w = { ...w, moods: [...w.moods, ...extra] };
+    }
+    if (r.statuses && r.statuses.length) {
+      w = { ...w, statuses: [...(w.statuses || []), ...r.statuses] };
+    }
+    if (r.statusLine) w.statusLines = [...w.statusLines, r.statusLine];
+  }
+  return w;
+}
+
+module.exports = { OVERLAYS, ACCESSORIES, parseCodes, validateRules, matchRules, describeEffects, applyToWindow };
@@ -0,0 +1,142 @@
+/**
+ * ============================================================================
+ * File:     dashboard/lib/weather.js
+ * Purpose:  Open-Meteo request/response shaping (no API key needed)
+ *
+ * forecastUrl() builds the request from the weather settings
+ * (lib/settings.js); parseForecast() turns Open-Meteo's response into the
+ * payload served by /api/weather and pushed over the event stream:
+ *
+ *   { temp: 18, unit: "°C", temp_f: 64, icon: "⛅", code: 2, is_day: 1,
+ *     humidity: 72, wind: { speed: 11, direction: 240, unit: "km/h" },
+ *     sunrise: "2026-03-01T06:41", sunset: "2026-03-01T18:02",
+ *     forecast: [{ date: "2026-03-01", code: 2, icon: "⛅",
+ *                  high: 19, low: 9, precipitation: 10 }, ...],
+ *     location: { name, latitude, longitude, timezone } }
+ *
+ * Times are local to the configured timezone. `temp_f` is always
+ * Fahrenheit, kept for clients written before units were configurable.
+ *
+ * Dependencies: None.
+ * ============================================================================
+ */
+
+/** Weather code → emoji mapping (WMO codes). */
+const WEATHER_EMOJI = {
+  0: '☀️',   1: '🌤️',  2: '⛅',   3: '☁️',
+  45: '🌫️', 48: '🌫️',
+  51: '🌦️', 53: '🌧️', 55: '🌧️',
+  61: '🌧️', 63: '🌧️', 65: '🌧️',
+  71: '🌨️', 73: '🌨️', 75: '🌨️',
+  80: '🌦️', 81: '🌧️', 82: '🌧️',
+  95: '⛈️',  96: '⛈️',  99: '⛈️'
+};
+
+/** Display labels for each unit setting. */
+const UNIT_LABELS = {
+  fahrenheit: { temperature: '°F', wind: 'mph', windParam: 'mph' },
+  celsius: { temperature: '°C', wind: 'km/h', windParam: 'kmh' }
+};
+
+/**
+ * Emoji for a WMO code.
+ * @param {number} code
+ * @returns {string}
+ */
+function weatherIcon(code) {
+  return WEATHER_EMOJI[code] || '🌡️';
+}
+
+/**
+ * Open-Meteo forecast URL for the given settings.
+ * @param {object} settings - Weather settings from lib/settings.js.
+ * @returns {string}
+ */
+function forecastUrl(settings) {
+  const labels = UNIT_LABELS[settings.units];
+  const params = new URLSearchParams({
+    latitude: String(settings.latitude),
+    longitude: String(settings.longitude),
+    current: 'temperature_2m,relative_humidity_2m,weather_code,is_day,wind_speed_10m,wind_direction_10m',
+    daily: 'weather_code,temperature_2m_max,temperature_2m_min,precipitation_probability_max,sunrise,sunset',
+    temperature_unit: settings.units,
+    wind_speed_unit: labels.windParam,
+    timezone: settings.timezone,
+    forecast_days: String(settings.forecastDays)
+  });
+  return `https://api.open-meteo.com/v1/forecast?${params}`;
+}
+
+/**
+ * Where the payload came from, for display.
+ * @param {object} settings
+ * @returns {object}
+ */
+function locationOf(settings) {
+  const { name, latitude, longitude, timezone } = settings;
+  return { name, latitude, longitude, timezone };
+}
+
+/**
+ * Shape an Open-Meteo response into the dashboard payload.
+ * @param {object} json - Parsed Open-Meteo response.
+ * @param {object} settings - The settings the request was built from.
+ * @returns {object}
+ */
+function parseForecast(json, settings) {
+  const labels = UNIT_LABELS[settings.units];
+  const current = json.current;
+  const daily = json.daily || {};
+  const round = v => (typeof v === 'number' ? Math.round(v) : null);
+
+  const temp = round(current.temperature_2m);
+  const temp_f = settings.units === 'celsius' && temp !== null
+    ? Math.round(current.temperature_2m * 9 / 5 + 32)
+    : temp;
+
+  const forecast = (daily.time || []).map((date, i) => ({
+    date,
+    code: daily.weather_code[i],
+    icon: weatherIcon(daily.weather_code[i]),
+    high: round(daily.temperature_2m_max[i]),
+    low: round(daily.temperature_2m_min[i]),
+    precipitation: round(daily.precipitation_probability_max && daily.precipitation_probability_max[i])
+  }));
+
+  return {
+    temp,
+    unit: labels.temperature,
+    temp_f,
+    icon: weatherIcon(current.weather_code),
+    code: current.weather_code,
+    is_day: current.is_day,
+    humidity: round(current.relative_humidity_2m),
+    wind: {
+      speed: round(current.wind_speed_10m),
+      direction: round(current.wind_direction_10m),
+      unit: labels.wind
+    },
+    sunrise: daily.sunrise ? daily.sunrise[0] : null,
+    sunset: daily.sunset ? daily.sunset[0] : null,
+    forecast,
+    location: locationOf(settings)
+  };
+}
+
+/**
+ * Payload to serve before the first successful fetch.
+ * @param {object} settings
+ * @returns {object}
+ */
+function emptyWeather(settings) {
+  return {
+    temp: null,
+    unit: UNIT_LABELS[settings.units].temperature,
+    temp_f: null,
+    icon: '🌡️',
+    code: -1,
+    location: locationOf(settings)
+  };
+}
+
+module.exports = { WEATHER_EMOJI, weatherIcon, forecastUrl, parseForecast, emptyWeather };
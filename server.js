@@ -9,41 +9,87 @@
  *
  * Endpoints:
  *   GET  /api/state                          — Current mood, room, location, status
- *   GET  /api/status                         — System health (Telegram, Spotify, brain)
+ *   PATCH /api/state                         — Validated partial state update (agent/automation)
+ *   PUT  /api/state                          — Validated full state replacement
+ *   GET  /api/events                         — SSE stream of state/room/weather/emotion changes and says
+ *   GET  /api/mood-history                   — State transition log (?since=&until=&source=&limit=&offset=)
+ *   GET  /api/mood-history/summary           — Time per mood/room for a day (?date=YYYY-MM-DD)
+ *   GET  /api/routine                        — Daily routine schedule (data/routine.json)
+ *   PUT  /api/routine                        — Replace the routine (validated)
+ *   GET  /api/routine/preview                — What the routine would do at ?at=<ISO|epoch ms|HH:MM>
+ *   GET  /api/weather                        — Current weather, forecast + active weather rule effects
+ *   GET  /api/settings/weather               — Weather location, timezone and units
+ *   PUT  /api/settings/weather               — Replace the weather settings (validated)
+ *   GET  /api/settings/wake                  — Wake adapters, throttling and retries (owner)
+ *   PUT  /api/settings/wake                  — Replace wake throttling/retries (owner, validated; not adapters)
+ *   GET  /api/wakes                          — Recent agent wakes and how each went (owner; ?limit=)
+ *   POST /api/wakes/test                     — Send a test wake through every adapter (owner)
+ *   GET  /api/weather/rules                  — Weather reaction rules (data/weather-rules.json)
+ *   PUT  /api/weather/rules                  — Replace the weather rules (validated)
+ *   POST /api/weather/rules/test             — Evaluate the rules against a stubbed weather payload
+ *   GET  /api/reactions                      — Tap reaction pool (data/reactions.json)
+ *   PUT  /api/reactions                      — Replace the whole pool (owner, validated)
+ *   POST /api/reactions                      — Add a reaction (owner)
+ *   POST /api/reactions/test                 — Which reactions a tap would get (+ odds, seeded pick)
+ *   GET  /api/reactions/:id                  — One reaction
+ *   PUT  /api/reactions/:id                  — Replace a reaction (owner)
+ *   DELETE /api/reactions/:id                — Remove a reaction (owner)
+ *   GET  /api/status                         — Cached system health from status providers (+ ok/stale/error)
+ *   GET  /api/rooms                          — Every room (id, name, emoji, default, locations, wallpaper URL)
+ *   POST /api/rooms                          — Create a room: multipart with a PNG wallpaper, or clone one (owner)
+ *   PATCH /api/rooms/:name                   — Change a room's name, emoji or default location (owner)
+ *   DELETE /api/rooms/:name                  — Delete a room (owner; 409 while state/routine/rules use it)
  *   GET  /api/room/:name                     — Room config (locations, wallpaper)
- *   PUT  /api/room/:name/location/:loc       — Update a location's properties
+ *   PUT  /api/room/:name/location/:loc       — Update a location (owner, validated; incl. mood, statusPool, scale, zIndex, mask)
+ *   PUT  /api/room/:name/locations           — Update many locations at once, all or nothing (owner)
  *   POST /api/room/:name/location            — Create a new location
- *   DELETE /api/room/:name/location/:loc     — Remove a location
- *   POST /api/touch                          — Touch/click event from dashboard UI
- *   POST /api/identify                       — Emoji identity selection (who's there?)
- *   GET  /api/pending-touches                — Read & clear pending touch events (for agent)
+ *   DELETE /api/room/:name/location/:loc     — Remove a location (and its walk paths and exits)
+ *   PUT  /api/room/:name/paths               — Replace the room's walk graph (owner, validated)
+ *   PUT  /api/room/:name/exits               — Replace the room's doorways to other rooms (owner, validated)
+ *   POST /api/touch                          — Gesture from dashboard UI (click, doubleclick, longpress, drag, swipe, choice)
+ *   GET  /api/say                            — The agent's say still playing in the speech bubble (or null)
+ *   POST /api/say                            — Play lines in the speech bubble: per-line duration, mood, choices (owner/agent)
+ *   GET  /api/emotions                       — Every mood recipe (built-in + data/emotions.json)
+ *   PUT  /api/emotions                       — Replace the custom moods (owner, validated)
+ *   PUT  /api/emotions/:name                 — Create or replace one custom mood (owner)
+ *   DELETE /api/emotions/:name               — Remove a custom mood (owner; 409 while in use)
+ *   POST /api/identify                       — Emoji identity selection (who's there?); issues a device token
+ *   GET  /api/me                             — Who this device is signed in as
+ *   DELETE /api/me                           — Forget this device (revokes its token)
+ *   GET  /api/members                        — Household members (id, name, emoji, role, greeting, reactions)
+ *   POST /api/members                        — Add a member (owner)
+ *   PATCH /api/members/:id                   — Update a member's name/emoji/role/PIN (owner)
+ *   DELETE /api/members/:id                  — Remove a member and revoke their devices (owner)
+ *   GET  /api/devices                        — Issued device tokens (owner)
+ *   DELETE /api/devices/:id                  — Revoke a device token (owner)
+ *   GET  /api/touches                        — Touch inbox: ?after=&consumer=&limit=&wait= (owner/agent; never deletes)
+ *   POST /api/touches/ack                    — Advance a consumer's cursor { consumer, id } (owner/agent)
+ *   GET  /api/touches/stream                 — SSE stream of new touches (owner/agent)
+ *   GET  /api/pending-touches                — Legacy: unseen touches, auto-acked (owner/agent)
  *   GET  /locations.json                     — Legacy: raw locations file
  *   POST /locations.json                     — Legacy: update current location
  *
- * Touch System:
- *   - Single tap on sprite → instant server-side reaction (random from pool),
- *     reverts to previous mood/status after 5 seconds. No agent involvement.
- *   - Double-click on sprite → fires an OpenClaw wake event so the agent
- *     responds personally. Throttled to 1 per 30s per user.
- *   - Pre-reaction state is saved so reverts restore the agent's last mood/status.
- *
- * Emoji Identity System:
- *   - Unknown IPs tapping the sprite see a "who's there?" prompt with 🧹🛻👻
- *   - Selection saves IP → identity mapping in data/known-ips.json
- *   - Subsequent touches are logged with the user's identity
- *
  * Data Files:
  *   - data/state.json         — Claudron's current mood/room/status (read/written)
- *   - data/known-ips.json     — IP → identity map (committed to git)
+ *   - data/members.json       — Household members and roles (committed)
+ *   - data/devices.json       — Hashed device tokens (runtime, gitignored)
+ *   - data/pins.json          — Hashed member PINs (runtime, gitignored)
  *   - data/touch-log.jsonl    — All touch events (runtime, gitignored)
- *   - data/pending-touches.jsonl — Unread touches for agent (runtime, gitignored)
- *   - data/mood-log.jsonl     — Mood change history (runtime, gitignored)
+ *   - data/touches.jsonl      — Touch inbox for the agent, with ids (runtime, gitignored)
+ *   - data/touch-cursors.json — Per-consumer inbox cursors (runtime, gitignored)
+ *   - data/mood-log.jsonl     — State transition history, last 30 days (runtime, gitignored)
+ *   - data/routine.json       — Daily routine schedule (committed)
+ *   - data/weather-rules.json — Weather reaction rules (committed)
+ *   - data/reactions.json     — Tap reaction pool (committed)
+ *   - data/emotions.json      — Custom emotion recipes (committed)
+ *   - data/settings.json      — Per-install settings: weather location, wake adapters (gitignored)
  *
- * Static files are served from __dirname (the dashboard folder).
+ * Static files are allow-listed (lib/static-files.js): public/, js/, sprites/,
+ * room wallpapers and the tour video.
  *
  * Dependencies:
  *   - Node.js built-ins only (http, fs, path, child_process)
- *   - openclaw CLI (for health checks and wake events)
+ *   - openclaw CLI (for health checks and the default wake adapter)
  *   - spogo CLI (for Spotify status, optional)
  * ============================================================================
  */
@@ -51,7 +97,33 @@
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
-const { execSync, exec: execAsync } = require('child_process');
+const { createEventStream, sendEvent } = require('./lib/event-stream');
+const { createTouchInbox, CONSUMER_PATTERN } = require('./lib/touch-inbox');
+const { readJson, writeJsonAtomic } = require('./lib/json-file');
+const { validateState } = require('./lib/state-schema');
+const { createReactionManager } = require('./lib/reaction-manager');
+const { createMoodLog } = require('./lib/mood-log');
+const routine = require('./lib/routine');
+const weatherRules = require('./lib/weather-rules');
+const touchReactions = require('./lib/touch-reactions');
+const weather = require('./lib/weather');
+const { createSettings, validateWeatherSettings } = require('./lib/settings');
+const { createWaker, validateWakeSettings } = require('./lib/wake');
+const { createConversation, validateSay, normalizeSay } = require('./lib/conversation');
+const { createStatusRegistry, loadProviders } = require('./lib/status-registry');
+const {
+  createRouter, HttpError, badRequest, unauthorized, forbidden, notFound, conflict, validationFailed,
+  sendJson, readJsonBody
+} = require('./lib/router');
+const { createIdentity, validateMember, canClaim, hasRole, tokenCookie } = require('./lib/identity');
+const { createStaticServer } = require('./lib/static-files');
+const { createEmotions, validateRecipe, validateEmotions, NAME_PATTERN: MOOD_NAME_PATTERN } = require('./lib/emotions');
+const {
+  createRooms, validateRoomFields, validateWallpaper, validateExits, validateLocationFields, applyLocationFields,
+  ROOM_ID_PATTERN, MAX_WALLPAPER_BYTES, LOCATION_NAME_PATTERN
+} = require('./lib/rooms');
+const { readMultipartBody, isMultipart } = require('./lib/multipart');
+const { validatePaths } = require('./js/walk-graph');
 
 // =========================================================================
 //  Constants
@@ -66,34 +138,87 @@ const DASH_DIR = __dirname;
 /** Path to the legacy locations.json file. */
 const LOCATIONS_FILE = path.join(DASH_DIR, 'locations.json');
 
-/** Path to pending touch events for Claudron to pick up on heartbeats. */
-const PENDING_TOUCHES_FILE = path.join(DASH_DIR, 'data', 'pending-touches.jsonl');
+/** Path to the state transition history log. */
+const MOOD_LOG_FILE = path.join(DASH_DIR, 'data', 'mood-log.jsonl');
+
+/** Path to the daily routine schedule. */
+const ROUTINE_FILE = path.join(DASH_DIR, 'data', 'routine.json');
+
+/** Path to the weather reaction rules. */
+const WEATHER_RULES_FILE = path.join(DASH_DIR, 'data', 'weather-rules.json');
+
+/** Path to per-install settings (not committed). */
+const SETTINGS_FILE = path.join(DASH_DIR, 'data', 'settings.json');
+
+/** Household members (name, emoji, role). */
+const MEMBERS_FILE = path.join(DASH_DIR, 'data', 'members.json');
+
+/** Issued device tokens (hashed; not committed). */
+const DEVICES_FILE = path.join(DASH_DIR, 'data', 'devices.json');
+const PINS_FILE = path.join(DASH_DIR, 'data', 'pins.json');
+
+/** Touch inbox for the agent — identified touches with monotonic ids. */
+const TOUCHES_FILE = path.join(DASH_DIR, 'data', 'touches.jsonl');
+
+/** Per-consumer touch inbox cursors. */
+const TOUCH_CURSORS_FILE = path.join(DASH_DIR, 'data', 'touch-cursors.json');
+
+/** Per-install settings (weather location/units), see lib/settings.js. */
+const settings = createSettings({ file: SETTINGS_FILE });
+
+/** Household members and device tokens (lib/identity.js). */
+const identity = createIdentity({
+  membersFile: MEMBERS_FILE,
+  devicesFile: DEVICES_FILE,
+  pinsFile: PINS_FILE,
+  agentToken: process.env.CLAUDRON_AGENT_TOKEN
+});
+
+/** Touches waiting for the agent (lib/touch-inbox.js). */
+const touchInbox = createTouchInbox({ file: TOUCHES_FILE, cursorsFile: TOUCH_CURSORS_FILE });
+
+/** Agent wakes — adapters, throttling and retries come from the `wake` settings (lib/wake.js). */
+const waker = createWaker({
+  getSettings: () => settings.get('wake'),
+  ctx: { env: process.env, dashDir: DASH_DIR }
+});
+
+/** Multi-line "say" messages from the agent and their answers (lib/conversation.js). */
+const conversation = createConversation();
+
+/** SSE hub for /api/touches/stream — every new touch is pushed as a `touch` event. */
+const touchStream = createEventStream();
+touchInbox.subscribe(event => touchStream.broadcast('touch', event, event.id));
+
+/** How often to re-check the weather for event stream subscribers. */
+const WEATHER_PUSH_MS = 5 * 60 * 1000;
+
+/** Status providers — every .js file here is loaded at startup. */
+const STATUS_PROVIDERS_DIR = path.join(DASH_DIR, 'lib', 'status-providers');
 
 /** Claudron's birthday — used to calculate age in days. */
 const BIRTHDAY = new Date('2026-02-14T00:00:00-08:00');
 
-/** MIME type map for static file serving. */
 // =========================================================================
 //  Touch System State
 //
 //  The touch system has two modes:
-//  1. SINGLE TAP on sprite: picks a random reaction from TOUCH_REACTIONS,
-//     applies it immediately to state.json, then reverts after 5 seconds.
-//     This is purely server-side — the agent is NOT woken up.
-//  2. DOUBLE-CLICK on sprite: fires an OpenClaw system event to wake the
-//     agent for a personal response. Throttled to 1 wake per 30s per user
-//     via touchWakeThrottle map. Shows "one sec... 💭" immediately, reverts
-//     after 10s if the agent doesn't update state by then.
+//  1. SINGLE TAP on sprite: picks a weighted reaction from
+//     data/reactions.json (plus the tapper's own pool in data/members.json)
+//     whose conditions match, applies it immediately to state.json, then reverts after 5 seconds. This is purely
+//     server-side — the agent is NOT woken up.
+//  2. DOUBLE-CLICK on sprite: wakes the agent for a personal response
+//     through the configured wake adapters (lib/wake.js), throttled per
+//     member. Shows "one sec... 💭" immediately, reverts after 10s if the
+//     agent doesn't update state by then.
 //
-//  Pre-reaction state tracking: before any touch reaction overwrites
-//  state.json, we save the current mood/status in `preReactionState`.
-//  The revert timer restores this saved state, so the agent's last
-//  intentional mood is preserved across touch interactions.
+//  All temporary reactions (taps, the wake bubble, spatial lookups,
+//  identify feedback) go through the reaction manager in
+//  lib/reaction-manager.js. It stacks overlapping reactions, restores the
+//  agent's last intentional mood/status/location when they expire, and
+//  drops them without reverting when the agent writes a real state.
 // =========================================================================
 
-/** Per-user throttle for touch wake events (max 1 per 30s). */
-const touchWakeThrottle = new Map();
-
 /** Path to state.json. */
 const STATE_FILE = path.join(DASH_DIR, 'data', 'state.json');
 
@@ -103,199 +228,178 @@ const SPATIAL_CACHE_FILE = path.join(DASH_DIR, 'data', 'spatial-cache.json');
 /** Path to pre-generated spatial map. */
 const SPATIAL_MAP_FILE = path.join(DASH_DIR, 'data', 'spatial-map.json');
 
-/** Timer handle for reverting touch reactions back to pre-reaction state. */
-let reactionRevertTimer = null;
-
-/** Saved pre-reaction state (mood/status) to revert to. Null when no reaction is active. */
-let preReactionState = null;
-
-/** Pool of instant touch reactions — randomly selected on single tap. No agent involvement. */
-const TOUCH_REACTIONS = [
-  { mood: 'happy', status: 'hey! 💜' },
-  { mood: 'mischievous', status: '*poke*' },
-  { mood: 'excited', status: 'that tickles!' },
-  { mood: 'happy', status: 'hi hi hi!' },
-  { mood: 'embarrassed', status: 'oh! 😳' },
-  { mood: 'cozy', status: 'mmm warm pats 💜' },
-  { mood: 'proud', status: 'yes I AM great' },
-  { mood: 'curious', status: 'whatcha need?' },
-  { mood: 'happy', status: 'hehe 😊' },
-  { mood: 'excited', status: '!!!' },
-  { mood: 'mischievous', status: "can't catch me~" },
-  { mood: 'happy', status: '*purrs*' },
-  { mood: 'cozy', status: 'more pats pls 🥺' },
-  { mood: 'proud', status: "you're lucky I'm here" },
-  { mood: 'embarrassed', status: 'stoppp 😳💜' },
-];
-
-const MIME_TYPES = {
-  '.html': 'text/html',
-  '.css':  'text/css',
-  '.js':   'application/javascript',
-  '.json': 'application/json',
-  '.png':  'image/png',
-  '.svg':  'image/svg+xml'
+/** How long each kind of reaction stays on screen before reverting (ms). */
+const REACTION_TTL = {
+  tap: 5000,       // single tap / identify feedback
+  pet: 10000,      // long-press — being petted lingers a little
+  wake: 10000,     // "one sec... 💭" — the agent should take over by then
+  spatial: 8000    // description of what was double-clicked
 };
 
-// =========================================================================
-//  Status & Health Helpers
-// =========================================================================
+/** Overlays temporary reactions on state.json and reverts them. */
+const reactions = createReactionManager({ readState, writeState });
+
+/** Custom emotion recipes, merged over the built-ins in js/claudron-face.js. */
+const EMOTIONS_FILE = path.join(DASH_DIR, 'data', 'emotions.json');
+
+/** Built-in + custom moods (lib/emotions.js). */
+const emotions = createEmotions({ file: EMOTIONS_FILE });
+
+/** Room directories under rooms/ (lib/rooms.js). */
+const roomStore = createRooms({ dir: path.join(DASH_DIR, 'rooms') });
+
+/** Path to the tap reaction pool. */
+const REACTIONS_FILE = path.join(DASH_DIR, 'data', 'reactions.json');
+
+/** Shown when nothing in data/reactions.json matches a tap. */
+const FALLBACK_REACTION = { mood: 'happy', status: 'hey! 💜' };
+
+/** Shown when nothing in data/reactions.json matches a long-press. */
+const PET_FALLBACK = { mood: 'cozy', status: '*purrs* 💜' };
 
 /**
- * Read brain.json for context/model info (updated by Claudron during sessions).
- * @returns {object} Brain state with contextPct, model, etc.
+ * Read data/reactions.json (an empty pool if missing).
+ * @returns {object} { streakWindowMs?, cooldownMs?, reactions: [...] }
  */
-function getBrainInfo() {
-  try {
-    return JSON.parse(fs.readFileSync(path.join(DASH_DIR, 'brain.json'), 'utf8'));
-  } catch {
-    return { contextPct: 0, contextUsed: '?', contextMax: '200k', model: 'claude-opus-4-6' };
-  }
+function loadReactions() {
+  return readJson(REACTIONS_FILE, { reactions: [] });
 }
 
 /**
- * Read session info from OpenClaw's sessions.json to get compaction count and turn count.
- * Scans the main session's JSONL file and counts assistant messages as "turns".
- * @returns {object|null} Session info or null if unavailable.
+ * Seed for the tap reaction picker, from REACTIONS_SEED (unset = random).
+ * @returns {number|undefined}
  */
-function getSessionInfo() {
-  try {
-    const sessFile = '/Users/rcfox31/.openclaw/agents/main/sessions/sessions.json';
-    const data = JSON.parse(fs.readFileSync(sessFile, 'utf8'));
-
-    for (const [key, sess] of Object.entries(data)) {
-      if (!key.includes('main')) continue;
+function reactionSeed() {
+  const seed = Number(process.env.REACTIONS_SEED);
+  return process.env.REACTIONS_SEED && Number.isInteger(seed) ? seed : undefined;
+}
 
-      let turns = 0;
-      try {
-        const jsonl = fs.readFileSync(sess.sessionFile, 'utf8');
-        const lines = jsonl.trim().split('\n').filter(l => l.trim());
-        for (const line of lines) {
-          try {
-            const msg = JSON.parse(line);
-            if (msg.role === 'assistant') turns++;
-          } catch {}
-        }
-      } catch {}
+/** Picks tap reactions and tracks streaks/cooldowns (lib/touch-reactions.js). */
+const reactionPicker = touchReactions.createReactionPicker({ loadReactions, seed: reactionSeed() });
 
-      return {
-        compactions: sess.compactionCount || 0,
-        turns,
-        sessionKey: key
-      };
-    }
-  } catch {}
-  return null;
+/**
+ * What a tap reaction's conditions are matched against. Mood and location
+ * come from underneath any reaction already showing, so a streak of taps
+ * on a sleeping Claudron still counts as waking him.
+ * @param {string|null} who - Member id.
+ * @param {number} streak
+ * @param {string} [gesture='tap'] - 'tap' or 'longpress'.
+ * @returns {object} { gesture, mood, room, hour, who, streak }
+ */
+function tapContext(who, streak, gesture = 'tap') {
+  const state = { ...readState(), ...(reactions.baseState() || {}) };
+  return { gesture, mood: state.mood, room: state.room, hour: new Date().getHours(), who, streak };
 }
 
 /**
- * Aggregate system status: Telegram connectivity, Spotify playback,
- * brain context, session info, and Claudron's age.
- * @returns {object} Full status payload for /api/status.
+ * Pick a tap reaction for whoever tapped (data/reactions.json plus the
+ * member's own pool from data/members.json).
+ * @param {object|null} member - Public member (null if unidentified).
+ * @param {number} [streak=1] - From reactionPicker.recordTap().
+ * @returns {object} { mood, status }
  */
-function getStatus() {
-  let telegramOk = false;
-  let spotifyTrack = null;
+function tapReactionFor(member, streak = 1) {
+  const tap = tapContext(member ? member.id : null, streak);
+  const picked = reactionPicker.pick(tap, touchReactions.memberReactions(member));
+  return picked ? picked.reaction : FALLBACK_REACTION;
+}
 
-  // Check Telegram via openclaw health
-  try {
-    const health = execSync('openclaw health 2>&1', { timeout: 10000 }).toString();
-    telegramOk = health.includes('Telegram: ok');
-  } catch {}
+// =========================================================================
+//  Status & Health
+//
+//  Each status source (Telegram, Spotify, brain.json, the OpenClaw
+//  session, ...) is a provider in lib/status-providers/ that refreshes in
+//  the background on its own interval. /api/status only reads the cache.
+// =========================================================================
 
-  // Check Spotify via spogo CLI
-  try {
-    const spotifyOut = execSync('spogo status --json 2>&1', {
-      timeout: 5000,
-      env: { ...process.env }
-    }).toString().trim();
-    const sp = JSON.parse(spotifyOut);
-    if (sp.item) {
-      spotifyTrack = {
-        state: sp.is_playing ? 'PLAYING' : 'PAUSED',
-        track: sp.item.name || 'Unknown',
-        artist: sp.item.artist || sp.item.artists?.map(a => a.name).join(', ') || '',
-        device: sp.device?.name || ''
-      };
-    }
-  } catch {}
+/** Background status providers (lib/status-registry.js). */
+const statusContext = { dashDir: DASH_DIR, env: process.env };
+const statusRegistry = createStatusRegistry({ ctx: statusContext });
+for (const provider of loadProviders(STATUS_PROVIDERS_DIR, statusContext)) {
+  statusRegistry.register(provider);
+}
 
+/**
+ * Aggregate system status from the cached provider results, plus
+ * Claudron's age.
+ * @returns {object} Full status payload for /api/status — each provider's
+ *   value at the top level (as before), and its ok/stale/error metadata
+ *   under `providers`.
+ */
+function getStatus() {
   const now = new Date();
   const ageDays = Math.floor((now - BIRTHDAY) / (1000 * 60 * 60 * 24));
-
-  return {
+  const status = {
     updated: now.toISOString(),
-    telegram: telegramOk,
-    google: true, // Skip gog check to avoid keychain popups — known connected
-    spotify: spotifyTrack,
-    brain: getBrainInfo(),
-    session: getSessionInfo(),
     ageDays,
-    birthday: now.getMonth() === 1 && now.getDate() === 14
+    birthday: now.getMonth() === 1 && now.getDate() === 14,
+    providers: {}
   };
+  for (const [name, { value, ...meta }] of Object.entries(statusRegistry.snapshot())) {
+    status[name] = value;
+    status.providers[name] = meta;
+  }
+  return status;
 }
 
 // =========================================================================
 //  Weather Helper (Open-Meteo — no API key needed)
+//
+//  Location, timezone and units come from the weather settings
+//  (data/settings.json → env vars → defaults, see lib/settings.js).
 // =========================================================================
 
-/** Cached weather data to avoid hammering the API. */
-let weatherCache = { data: null, fetchedAt: 0 };
-
-/** Weather code → emoji mapping (WMO codes). */
-const WEATHER_EMOJI = {
-  0: '☀️',   1: '🌤️',  2: '⛅',   3: '☁️',
-  45: '🌫️', 48: '🌫️',
-  51: '🌦️', 53: '🌧️', 55: '🌧️',
-  61: '🌧️', 63: '🌧️', 65: '🌧️',
-  71: '🌨️', 73: '🌨️', 75: '🌨️',
-  80: '🌦️', 81: '🌧️', 82: '🌧️',
-  95: '⛈️',  96: '⛈️',  99: '⛈️'
-};
+/** Cached weather data to avoid hammering the API. `url` is the request it came from. */
+let weatherCache = { data: null, fetchedAt: 0, url: null };
 
 /**
- * Fetch current weather for Menlo Park, CA from Open-Meteo.
- * Caches for 15 minutes.
- * @returns {Promise<object>} { temp_f, icon }
+ * Fetch current weather and a short forecast for the configured location.
+ * Caches for 15 minutes (refetches at once if the settings change).
+ * @returns {Promise<object>} See lib/weather.js for the payload shape.
  */
 async function getWeather() {
   const now = Date.now();
-  if (weatherCache.data && (now - weatherCache.fetchedAt) < 15 * 60 * 1000) {
-    return weatherCache.data;
-  }
+  const prefs = settings.get('weather');
+  let url = null;
   try {
-    const url = 'https://api.open-meteo.com/v1/forecast?latitude=37.4529&longitude=-122.1817&current=temperature_2m,weather_code&temperature_unit=fahrenheit&timezone=America/Los_Angeles';
+    url = weather.forecastUrl(prefs);
+    if (weatherCache.data && weatherCache.url === url && (now - weatherCache.fetchedAt) < 15 * 60 * 1000) {
+      return weatherCache.data;
+    }
     const resp = await fetch(url);
     const json = await resp.json();
-    const temp_f = Math.round(json.current.temperature_2m);
-    const code = json.current.weather_code;
-    const icon = WEATHER_EMOJI[code] || '🌡️';
-    weatherCache.data = { temp_f, icon, code };
-    weatherCache.fetchedAt = now;
+    weatherCache = { data: weather.parseForecast(json, prefs), fetchedAt: now, url };
     return weatherCache.data;
   } catch (e) {
-    return weatherCache.data || { temp_f: null, icon: '🌡️', code: -1 };
+    if (weatherCache.data && weatherCache.url === url) return weatherCache.data;
+    return weather.emptyWeather(prefs);
   }
 }
 
-// =========================================================================
-//  Request Body Helper
-// =========================================================================
+/**
+ * Read data/weather-rules.json (no rules if missing).
+ * @returns {object} { rules: [...] }
+ */
+function loadWeatherRules() {
+  return readJson(WEATHER_RULES_FILE, { rules: [] });
+}
 
 /**
- * Collect and parse a JSON request body.
- * @param {http.IncomingMessage} req
- * @returns {Promise<object>} Parsed JSON body.
- */
-function readJsonBody(req) {
-  return new Promise((resolve, reject) => {
-    let body = '';
-    req.on('data', chunk => body += chunk);
-    req.on('end', () => {
-      try { resolve(JSON.parse(body)); }
-      catch (e) { reject(e); }
-    });
-  });
+ * Weather rules matching the last fetched weather (no network call).
+ * @returns {object[]}
+ */
+function currentWeatherRules() {
+  return weatherRules.matchRules(loadWeatherRules(), weatherCache.data);
+}
+
+/**
+ * Attach the active rule effects to a weather payload for the dashboard.
+ * @param {object} payload - From getWeather().
+ * @returns {object} payload + { effects: { rules, overlay, accessory } }
+ */
+function withWeatherEffects(payload) {
+  const matched = weatherRules.matchRules(loadWeatherRules(), payload);
+  return { ...payload, effects: weatherRules.describeEffects(matched) };
 }
 
 // =========================================================================
@@ -308,538 +412,1527 @@ function readJsonBody(req) {
  * @returns {object} Parsed config with locations.
  */
 function readRoomConfig(roomName) {
-  const cfgPath = path.join(DASH_DIR, 'rooms', roomName, 'config.json');
-  return JSON.parse(fs.readFileSync(cfgPath, 'utf8'));
+  return roomStore.read(roomName);
 }
 
 /**
- * Write a room's config.json file (pretty-printed).
+ * Write a room's config.json file (pretty-printed, atomically).
  * @param {string} roomName - Room directory name.
  * @param {object} cfg - Config object to write.
  */
 function writeRoomConfig(roomName, cfg) {
-  const cfgPath = path.join(DASH_DIR, 'rooms', roomName, 'config.json');
-  fs.writeFileSync(cfgPath, JSON.stringify(cfg, null, 2) + '\n');
+  roomStore.write(roomName, cfg);
+}
+
+/**
+ * List room directory names that have a config.json.
+ * @returns {string[]}
+ */
+function listRooms() {
+  return roomStore.list();
 }
 
 // =========================================================================
-//  HTTP Server
+//  State Helpers
+// =========================================================================
+
+/**
+ * Read data/state.json.
+ * @returns {object} Current state ({} if unreadable).
+ */
+function readState() {
+  return readJson(STATE_FILE, {});
+}
+
+/** State transition history (data/mood-log.jsonl). */
+const moodLog = createMoodLog({ file: MOOD_LOG_FILE });
+
+/** Raw contents of our own last state.json write — lets the watcher tell them apart. */
+let lastSelfWriteRaw = null;
+
+/**
+ * Write data/state.json atomically so watchers never see a partial file,
+ * and record the transition in the mood log.
+ * @param {object} state
+ * @param {string} [source='agent'] - Mood log source (agent, touch, reaction, revert, scheduler).
+ *   Agent and touch writes hold off the routine.
+ */
+function writeState(state, source = 'agent') {
+  const prev = readState();
+  writeJsonAtomic(STATE_FILE, state);
+  lastSelfWriteRaw = JSON.stringify(state, null, 2) + '\n';
+  if (source === 'agent' || source === 'touch') lastAgentWriteAt = Date.now();
+  moodLog.record(source, prev, state);
+}
+
+// =========================================================================
+//  Daily Routine
+// =========================================================================
+
+/** When the agent (or someone moving him by touch) last wrote state (epoch ms) — holds off the routine. */
+let lastAgentWriteAt = (() => {
+  const entry = moodLog.last(e => e.source === 'agent' || e.source === 'touch');
+  return entry ? Date.parse(entry.ts) : 0;
+})();
+
+/**
+ * Read data/routine.json (an empty routine if missing).
+ * @returns {object}
+ */
+function loadRoutine() {
+  return readJson(ROUTINE_FILE, { windows: [] });
+}
+
+/**
+ * Is something more important than the routine on screen right now?
+ * @param {object} r - Routine (with defaults applied).
+ * @returns {boolean}
+ */
+function isRoutineOverridden(r) {
+  if (reactions.active().length) return true;
+  return Date.now() - lastAgentWriteAt < r.agentHoldMinutes * 60 * 1000;
+}
+
+/** Background routine scheduler (started with the server). */
+const scheduler = routine.createScheduler({
+  loadRoutine,
+  readState,
+  writeState,
+  isOverridden: isRoutineOverridden,
+  ctx: { readRoomConfig },
+  weatherRules: currentWeatherRules
+});
+
+/**
+ * Validation context for lib/state-schema — what moods/rooms exist right now.
+ * @returns {object}
+ */
+function stateSchemaContext() {
+  return { moods: emotions.names(), rooms: listRooms(), readRoomConfig };
+}
+
+/**
+ * Fill in what a location says about arriving there, for a validated move
+ * that didn't set it itself: the location's `mood`, and a status drawn
+ * from its `statusPool`. Staying put changes nothing.
+ * @param {object} next - The new state (mutated).
+ * @param {object} prev - The state before.
+ * @param {object} given - Fields the writer set explicitly.
+ * @returns {object} next
+ */
+function applyLocationDefaults(next, prev, given) {
+  if (next.room === prev.room && next.location === prev.location) return next;
+  let loc;
+  try {
+    const { locations } = readRoomConfig(next.room);
+    loc = Object.hasOwn(locations, next.location) ? locations[next.location] : null;
+  } catch { return next; }
+  if (!loc) return next;
+  if (given.mood === undefined && loc.mood && emotions.names().includes(loc.mood)) next.mood = loc.mood;
+  const pool = Array.isArray(loc.statusPool) ? loc.statusPool : [];
+  if (given.status === undefined && pool.length) next.status = pool[Math.floor(Math.random() * pool.length)];
+  return next;
+}
+
 // =========================================================================
+//  Live Updates (Server-Sent Events)
+//
+//  Rather than the dashboard polling /api/state, we watch the data/
+//  directory for changes to state.json and push them out. Watching the
+//  directory (not the file) means replace-by-rename writes are caught too.
+// =========================================================================
+
+/** SSE hub for /api/events subscribers. */
+const events = createEventStream({ onConnect: sendSnapshot });
+
+/** Raw state.json contents last broadcast — used to skip no-op change events. */
+let lastStateRaw = null;
+
+/** Last parsed state seen by the watcher — the "from" side of external changes. */
+let lastWatchedState = null;
+
+/** Room name from the last broadcast state — a change triggers a `room` event. */
+let lastRoom = null;
+
+/** Serialised weather payload last broadcast. */
+let lastWeatherRaw = null;
+
+/**
+ * Build the payload for a `room` event.
+ * @param {string} room - Room directory name.
+ * @returns {object|null} { room, config } or null if the room can't be read.
+ */
+function roomEventPayload(room) {
+  try {
+    return { room, config: readRoomConfig(room) };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Payload for GET /api/emotions and the `emotions` event.
+ * @returns {object} { emotions (merged), custom, builtIn }
+ */
+function emotionsPayload() {
+  return { emotions: emotions.all(), custom: emotions.custom(), builtIn: emotions.builtIn() };
+}
 
-const server = http.createServer(async (req, res) => {
-  // --- CORS headers ---
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+/**
+ * Send the current emotions, room, state, say and weather to a freshly
+ * connected client (emotions first, so a custom mood renders right away).
+ * @param {http.ServerResponse} res
+ */
+function sendSnapshot(res) {
+  sendEvent(res, 'emotions', emotionsPayload());
+  try {
+    const state = JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
+    const room = roomEventPayload(state.room);
+    if (room) sendEvent(res, 'room', room);
+    sendEvent(res, 'state', state);
+  } catch {}
+  const live = conversation.current();
+  if (live) sendEvent(res, 'say', live);
+  getWeather().then(current => {
+    if (!res.writableEnded) sendEvent(res, 'weather', withWeatherEffects(current));
+  }).catch(logWeatherError);
+}
 
-  if (req.method === 'OPTIONS') {
-    res.writeHead(204);
-    res.end();
+/**
+ * Re-read state.json and broadcast it if it actually changed.
+ * Unparseable contents (a half-finished external write) are ignored —
+ * the watcher fires again once the writer finishes.
+ */
+function checkStateFile() {
+  let raw, state;
+  try {
+    raw = fs.readFileSync(STATE_FILE, 'utf8');
+    state = JSON.parse(raw);
+  } catch {
     return;
   }
+  if (raw === lastStateRaw) return;
+  lastStateRaw = raw;
 
-  // --- Route: POST /api/touch ---
-  if (req.url === '/api/touch' && req.method === 'POST') {
-    try {
-      const body = await readJsonBody(req);
-      const ip = req.headers['x-forwarded-for'] || req.socket.remoteAddress || '';
-      const knownIpsPath = path.join(DASH_DIR, 'data', 'known-ips.json');
-      let knownIps = {};
-      try { knownIps = JSON.parse(fs.readFileSync(knownIpsPath, 'utf8')); } catch {}
-      const who = knownIps[ip] || null;
-      const isDoubleClick = body.type === 'dblclick' || body.type === 'doubleclick';
-      const logEntry = {
-        ts: new Date().toISOString(),
-        type: body.type,
-        x: body.x,
-        y: body.y,
-        onSprite: !!body.onSprite,
-        ip,
-        ...(who ? { who } : { unknown: true })
-      };
-      // Always log all touches
-      fs.appendFileSync(path.join(DASH_DIR, 'data', 'touch-log.jsonl'), JSON.stringify(logEntry) + '\n');
-      if (who) {
-        fs.appendFileSync(PENDING_TOUCHES_FILE, JSON.stringify(logEntry) + '\n');
-      }
+  // Not one of ours → the agent (or a script) edited the file directly
+  if (lastWatchedState && raw !== lastSelfWriteRaw) {
+    lastAgentWriteAt = Date.now();
+    moodLog.record('agent', lastWatchedState, state);
+  }
+  lastWatchedState = state;
 
-      if (body.onSprite && isDoubleClick) {
-        // === DOUBLE-CLICK ON SPRITE → Wake the agent ===
-        const now = Date.now();
-        const lastWake = touchWakeThrottle.get(who || ip) || 0;
-        // Write immediate "coming..." bubble
-        try {
-          const state = JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
-          if (!preReactionState) {
-            preReactionState = { mood: state.mood, status: state.status };
-          }
-          state.mood = 'excited';
-          state.status = 'one sec... 💭';
-          fs.writeFileSync(STATE_FILE, JSON.stringify(state, null, 2) + '\n');
-          // Revert after 10s (agent should take over by then)
-          if (reactionRevertTimer) clearTimeout(reactionRevertTimer);
-          const restoreTo = { ...preReactionState };
-          preReactionState = null;
-          reactionRevertTimer = setTimeout(() => {
-            try {
-              const cur = JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
-              if (cur.status === 'one sec... 💭') {
-                cur.mood = restoreTo.mood;
-                cur.status = restoreTo.status;
-                fs.writeFileSync(STATE_FILE, JSON.stringify(cur, null, 2) + '\n');
-              }
-            } catch {}
-          }, 10000);
-        } catch {}
-        if (who && now - lastWake > 30000) {
-          touchWakeThrottle.set(who, now);
-          const wakeText = `Dashboard double-click from ${who}: sprite tapped — wants attention`;
-          execAsync(
-            `openclaw system event --mode now --text ${JSON.stringify(wakeText)}`,
-            { timeout: 10000 },
-            (err) => { if (err) console.error('Wake event failed:', err.message); }
-          );
-        }
-      } else if (body.onSprite && !isDoubleClick) {
-        // === SINGLE CLICK ON SPRITE → Instant server-side reaction (no agent wake) ===
-        try {
-          const state = JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
-          // Save pre-reaction state only if not already in a reaction
-          if (!preReactionState) {
-            preReactionState = { mood: state.mood, status: state.status };
-          }
-          const reaction = TOUCH_REACTIONS[Math.floor(Math.random() * TOUCH_REACTIONS.length)];
-          state.mood = reaction.mood;
-          state.status = reaction.status;
-          fs.writeFileSync(STATE_FILE, JSON.stringify(state, null, 2) + '\n');
-          // Revert after 5 seconds
-          if (reactionRevertTimer) clearTimeout(reactionRevertTimer);
-          const restoreTo = { ...preReactionState };
-          reactionRevertTimer = setTimeout(() => {
-            preReactionState = null;
-            try {
-              const cur = JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
-              if (cur.mood === reaction.mood && cur.status === reaction.status) {
-                cur.mood = restoreTo.mood;
-                cur.status = restoreTo.status;
-                fs.writeFileSync(STATE_FILE, JSON.stringify(cur, null, 2) + '\n');
-              }
-            } catch {}
-          }, 5000);
-        } catch {}
-      }
-      // === DOUBLE-CLICK NOT ON SPRITE → Instant spatial lookup from pre-generated map ===
-      if (!body.onSprite && isDoubleClick && who && who !== 'guest') {
-        try {
-          const state = JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
-          const room = state.room || 'workshop';
-          const clickX = body.x || 0;
-          const clickY = body.y || 0;
-
-          // Check agent override cache first (grid-based keys still work)
-          let spatialCache = {};
-          try { spatialCache = JSON.parse(fs.readFileSync(SPATIAL_CACHE_FILE, 'utf8')); } catch {}
-          const cellX = Math.min(Math.floor(clickX * 10), 9);
-          const cellY = Math.min(Math.floor(clickY * 10), 9);
-          const cellKey = `${cellX}_${cellY}`;
-
-          let desc = null;
-
-          // Priority 1: agent override cache
-          if (spatialCache[room] && spatialCache[room][cellKey]) {
-            desc = spatialCache[room][cellKey];
-          } else {
-            // Priority 2: nearest object from spatial map
-            try {
-              const spatialMap = JSON.parse(fs.readFileSync(SPATIAL_MAP_FILE, 'utf8'));
-              const objects = spatialMap[room] || [];
-              let bestDist = Infinity;
-              let bestObj = null;
-              for (const obj of objects) {
-                const dx = obj.x - clickX;
-                const dy = obj.y - clickY;
-                const dist = Math.sqrt(dx * dx + dy * dy);
-                if (dist < bestDist) {
-                  bestDist = dist;
-                  bestObj = obj;
-                }
-              }
-              if (bestObj && bestDist < 0.15) {
-                desc = bestObj.description;
-              } else {
-                desc = 'just empty floor here... nothing interesting 🤷';
-              }
-            } catch {
-              desc = 'hmm, I can\'t quite see from here... 👀';
-            }
-          }
-
-          // Move sprite to nearest location in the room
-          try {
-            const roomConfig = JSON.parse(fs.readFileSync(
-              path.join(DASH_DIR, 'rooms', room, 'config.json'), 'utf8'));
-            const locs = roomConfig.locations || {};
-            let nearestLoc = null;
-            let nearestDist = Infinity;
-            for (const [name, loc] of Object.entries(locs)) {
-              const dx = loc.x - clickX;
-              const dy = loc.y - clickY;
-              const dist = Math.sqrt(dx * dx + dy * dy);
-              if (dist < nearestDist) {
-                nearestDist = dist;
-                nearestLoc = name;
-              }
-            }
-            if (nearestLoc) state.location = nearestLoc;
-          } catch {}
-
-          // Show description in speech bubble
-          if (!preReactionState) {
-            preReactionState = { mood: state.mood, status: state.status, location: state.location };
-          }
-          state.status = desc;
-          fs.writeFileSync(STATE_FILE, JSON.stringify(state, null, 2) + '\n');
-
-          // Revert after 8s
-          if (reactionRevertTimer) clearTimeout(reactionRevertTimer);
-          const restoreTo = { ...preReactionState };
-          preReactionState = null;
-          reactionRevertTimer = setTimeout(() => {
-            try {
-              const cur = JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
-              if (cur.status === desc) {
-                cur.mood = restoreTo.mood;
-                cur.status = restoreTo.status;
-                if (restoreTo.location) cur.location = restoreTo.location;
-                fs.writeFileSync(STATE_FILE, JSON.stringify(cur, null, 2) + '\n');
-              }
-            } catch {}
-          }, 8000);
-
-          res.writeHead(200, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ ok: true, spatial: true, description: desc }));
-          return;
-        } catch (e) {
-          console.error('Spatial lookup error:', e.message);
+  if (state.room !== lastRoom) {
+    lastRoom = state.room;
+    const room = roomEventPayload(state.room);
+    if (room) events.broadcast('room', room);
+  }
+  events.broadcast('state', state);
+}
+
+/**
+ * Start watching data/ for state.json changes (debounced).
+ * @returns {fs.FSWatcher}
+ */
+function watchStateFile() {
+  checkStateFile();
+  let debounce = null;
+  return fs.watch(path.dirname(STATE_FILE), (eventType, filename) => {
+    if (filename && filename !== path.basename(STATE_FILE)) return;
+    clearTimeout(debounce);
+    debounce = setTimeout(checkStateFile, 50);
+  });
+}
+
+/**
+ * Log a failed weather push/snapshot — they run unawaited, so nothing else would.
+ * @param {Error} e
+ */
+function logWeatherError(e) {
+  console.error('Weather update error:', e.message);
+}
+
+/** Refresh the weather cache and push it to subscribers if it changed. */
+async function pushWeather() {
+  if (!events.size()) return;
+  const current = withWeatherEffects(await getWeather());
+  const raw = JSON.stringify(current);
+  if (raw === lastWeatherRaw) return;
+  lastWeatherRaw = raw;
+  events.broadcast('weather', current);
+}
+
+// =========================================================================
+//  HTTP Routes
+//
+//  Every API route is registered on the router (lib/router.js) by method
+//  and path. Handlers throw HttpErrors; all failures leave the server in
+//  one envelope: { error: { code, message, details } }.
+// =========================================================================
+
+const router = createRouter();
+
+/**
+ * Check a room name taken from the URL.
+ * @param {string} name
+ * @returns {string} The room name.
+ * @throws {HttpError} 404 if there's no such room.
+ */
+function requireRoom(name) {
+  if (!listRooms().includes(name)) throw notFound('Room not found', { room: name });
+  return name;
+}
+
+/**
+ * Require a minimum role for the request.
+ * @param {http.IncomingMessage} req
+ * @param {string} role - 'member' or 'owner'.
+ * @returns {object} The caller's identity.
+ * @throws {HttpError} 401 without a valid token, 403 if the role is too low.
+ */
+function requireRole(req, role) {
+  const caller = identity.identify(req);
+  if (!caller) throw unauthorized('Pick your emoji on the dashboard (or send a device token) first');
+  if (!hasRole(caller, role)) throw forbidden(`Only ${role}s can do that`, { role: caller.member.role });
+  return caller;
+}
+
+/**
+ * Wrap a route handler so only owners (or the agent token) can call it.
+ * @param {function(object)} handler
+ * @returns {function(object)}
+ */
+function ownerOnly(handler) {
+  return ctx => {
+    requireRole(ctx.req, 'owner');
+    return handler(ctx);
+  };
+}
+
+// =========================================================================
+//  Touch Gestures
+//
+//  POST /api/touch carries one `type` per gesture; each has its own
+//  handler below. Every touch is logged to touch-log.jsonl (and, when the
+//  tapper is identified, queued in the agent's touch inbox), whatever the type.
+// =========================================================================
+
+/** Directions a swipe can go (vertical swipes are left to scrolling). */
+const SWIPE_DIRECTIONS = ['left', 'right'];
+
+/**
+ * Nearest named location in a room to a point.
+ * @param {object} roomConfig
+ * @param {number} x - 0–1 across the wallpaper.
+ * @param {number} y - 0–1 down the wallpaper.
+ * @returns {string|null}
+ */
+function nearestLocation(roomConfig, x, y) {
+  let nearest = null;
+  let nearestDist = Infinity;
+  for (const [name, loc] of Object.entries((roomConfig && roomConfig.locations) || {})) {
+    const dist = Math.hypot(loc.x - x, loc.y - y);
+    if (dist < nearestDist) {
+      nearestDist = dist;
+      nearest = name;
+    }
+  }
+  return nearest;
+}
+
+/**
+ * Move Claudron for real on behalf of whoever touched him (drag, swipe).
+ * Any reaction showing is dropped — he keeps the agent's mood and status,
+ * not the reaction's (unless the new location has its own) — and the
+ * routine holds off like after an agent write.
+ * @param {object} patch - { room?, location }
+ * @returns {object} The new state.
+ */
+function moveByTouch(patch) {
+  const prev = { ...readState(), ...(reactions.baseState() || {}) };
+  const next = { ...prev, ...patch };
+  const errors = validateState(next, stateSchemaContext());
+  if (errors) throw validationFailed('Invalid move', errors);
+  applyLocationDefaults(next, prev, patch);
+  reactions.cancel();
+  writeState(next, 'touch');
+  return next;
+}
+
+/**
+ * Moving Claudron around needs an identified household member.
+ * @param {object} touch
+ */
+function requireMover(touch) {
+  if (!touch.who) throw unauthorized('Pick your emoji before moving Claudron');
+  if (touch.isGuest) throw forbidden('Guests can look, not move 👀');
+}
+
+/**
+ * Double-click off the sprite → describe what's there (agent override
+ * cache first, then the pre-generated spatial map) and walk over to it.
+ * @param {object} body - { x, y }
+ * @returns {string} The description shown in the speech bubble.
+ */
+function spatialLookup(body) {
+  const state = readState();
+  const room = state.room || 'workshop';
+  const clickX = body.x || 0;
+  const clickY = body.y || 0;
+
+  // Check agent override cache first (grid-based keys still work)
+  const spatialCache = readJson(SPATIAL_CACHE_FILE, {});
+  const cellX = Math.min(Math.floor(clickX * 10), 9);
+  const cellY = Math.min(Math.floor(clickY * 10), 9);
+  const cellKey = `${cellX}_${cellY}`;
+
+  let desc = null;
+
+  // Priority 1: agent override cache
+  if (spatialCache[room] && spatialCache[room][cellKey]) {
+    desc = spatialCache[room][cellKey];
+  } else {
+    // Priority 2: nearest object from spatial map
+    try {
+      const spatialMap = JSON.parse(fs.readFileSync(SPATIAL_MAP_FILE, 'utf8'));
+      const objects = spatialMap[room] || [];
+      let bestDist = Infinity;
+      let bestObj = null;
+      for (const obj of objects) {
+        const dist = Math.hypot(obj.x - clickX, obj.y - clickY);
+        if (dist < bestDist) {
+          bestDist = dist;
+          bestObj = obj;
         }
       }
-
-      let resp;
-      if (who === 'guest') {
-        resp = { ok: true, who: 'guest', mood: 'curious', status: 'who goes there? 👀' };
-      } else if (who) {
-        resp = { ok: true, who };
+      if (bestObj && bestDist < 0.15) {
+        desc = bestObj.description;
       } else {
-        resp = { ok: true, unknown: true, needsIdentify: !!body.onSprite };
+        desc = 'just empty floor here... nothing interesting 🤷';
       }
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify(resp));
-    } catch (e) {
-      res.writeHead(400);
-      res.end(JSON.stringify({ error: e.message }));
+    } catch {
+      desc = 'hmm, I can\'t quite see from here... 👀';
     }
-    return;
   }
 
-  // --- Route: GET /api/pending-touches (read & clear) ---
-  if (req.url === '/api/pending-touches' && req.method === 'GET') {
-    try {
-      let lines = [];
+  // Move sprite to nearest location in the room
+  const overlay = { status: desc };
+  try {
+    const nearest = nearestLocation(readRoomConfig(room), clickX, clickY);
+    if (nearest) overlay.location = nearest;
+  } catch {}
+
+  // Show description in speech bubble, then walk back
+  reactions.push(overlay, REACTION_TTL.spatial);
+  return desc;
+}
+
+/**
+ * Per-gesture handlers. Each gets the touch
+ * ({ body, caller, who, isGuest, ip }) and returns the response body.
+ */
+const TOUCH_HANDLERS = {
+  // Single tap → instant server-side reaction (no agent wake)
+  click(touch) {
+    if (touch.body.onSprite) {
+      const streak = reactionPicker.recordTap(touch.who || touch.ip);
       try {
-        const raw = fs.readFileSync(PENDING_TOUCHES_FILE, 'utf8').trim();
-        if (raw) lines = raw.split('\n').map(l => JSON.parse(l));
+        reactions.push(tapReactionFor(touch.caller && touch.caller.member, streak), REACTION_TTL.tap);
       } catch {}
-      // Clear the file after reading
-      fs.writeFileSync(PENDING_TOUCHES_FILE, '');
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ events: lines }));
+    }
+    return null;
+  },
+
+  // Double-click on the sprite → wake the agent; off it → spatial lookup
+  doubleclick(touch) {
+    const { body, who, ip } = touch;
+    if (body.onSprite) {
+      // Show an immediate "coming..." bubble
+      try {
+        reactions.push({ mood: 'excited', status: 'one sec... 💭' }, REACTION_TTL.wake);
+      } catch {}
+      const { entry } = waker.wake({
+        who,
+        key: who || `ip:${ip}`,
+        type: 'doubleclick',
+        text: `Dashboard double-click from ${who || 'an unidentified visitor'}: sprite tapped — wants attention`
+      });
+      touch.logEntry.wake = entry.id;
+      return null;
+    }
+    if (!who || touch.isGuest) return null;
+    try {
+      return { ok: true, spatial: true, description: spatialLookup(body) };
     } catch (e) {
-      res.writeHead(500);
-      res.end(JSON.stringify({ error: e.message }));
+      console.error('Spatial lookup error:', e.message);
+      return null;
     }
-    return;
-  }
+  },
 
-  // --- Route: POST /api/identify ---
-  if (req.url === '/api/identify' && req.method === 'POST') {
+  // Long-press on the sprite → petting: a cozy reaction that lingers
+  longpress(touch) {
+    if (!touch.body.onSprite) return null;
+    const picked = reactionPicker.pick(tapContext(touch.who, 1, 'longpress'));
     try {
-      const body = await readJsonBody(req);
-      const ip = req.headers['x-forwarded-for'] || req.socket.remoteAddress || '';
-      const who = body.who; // "miranda" | "ryan" | "guest"
-      if (!who || !['miranda', 'ryan', 'guest'].includes(who)) {
-        res.writeHead(400);
-        res.end(JSON.stringify({ error: 'Invalid who: must be miranda, ryan, or guest' }));
-        return;
-      }
+      reactions.push(picked ? picked.reaction : PET_FALLBACK, REACTION_TTL.pet);
+    } catch {}
+    return null;
+  },
+
+  // Drag the sprite and drop it → snap to the nearest named location
+  drag(touch) {
+    requireMover(touch);
+    const { x, y } = touch.body;
+    if (![x, y].every(v => typeof v === 'number' && v >= 0 && v <= 1)) {
+      throw validationFailed('Invalid drop point', { x: 'x and y must be 0–1' });
+    }
+    const state = readState();
+    const location = nearestLocation(readRoomConfig(state.room), x, y);
+    if (!location) throw conflict(`Room "${state.room}" has no locations to drop onto`);
+    const next = moveByTouch({ location });
+    touch.logEntry.location = location;
+    return { ok: true, who: touch.who, room: next.room, location };
+  },
+
+  // Horizontal swipe → visit the adjacent room (wraps around)
+  swipe(touch) {
+    requireMover(touch);
+    const { direction } = touch.body;
+    if (!SWIPE_DIRECTIONS.includes(direction)) {
+      throw validationFailed('Invalid swipe', { direction: `Must be one of ${SWIPE_DIRECTIONS.join(', ')}` });
+    }
+    const rooms = listRooms();
+    const i = rooms.indexOf(readState().room);
+    // Swiping left pulls in the room to the right, like paging
+    const room = rooms[(i + (direction === 'left' ? 1 : -1) + rooms.length) % rooms.length];
+    const next = moveByTouch({ room, location: readRoomConfig(room).default });
+    touch.logEntry.room = room;
+    return { ok: true, who: touch.who, room, location: next.location };
+  },
+
+  // Tap a reply button under the agent's say → queued for the agent in the
+  // touch inbox. Body: { say: <say id>, choice: <choice id> }
+  choice(touch) {
+    if (!touch.who) throw unauthorized('Pick your emoji before answering');
+    const { say, choice } = touch.body;
+    if (!Number.isInteger(say) || typeof choice !== 'string') {
+      throw validationFailed('Invalid choice', { say: 'Must be a say id', choice: 'Must be a choice id' });
+    }
+    const result = conversation.answer(say, choice, touch.who);
+    if (!result.ok) {
+      if (result.reason === 'not_found') throw notFound(`No say ${say}`);
+      if (result.reason === 'answered') throw conflict('Someone already answered that');
+      if (result.reason === 'closed') throw conflict('That conversation has moved on');
+      throw validationFailed('Invalid choice', {
+        choice: result.choices ? `Must be one of ${result.choices.join(', ')}` : 'That say has no choices'
+      });
+    }
+    Object.assign(touch.logEntry, { say, choice: result.choice.id, label: result.choice.label });
+    events.broadcast('say-answer', { id: say, ...result.message.answer });
+    return { ok: true, who: touch.who, say, choice: result.choice.id };
+  }
+};
 
-      // Add IP to known-ips.json
-      const knownIpsPath = path.join(DASH_DIR, 'data', 'known-ips.json');
-      let knownIps = {};
-      try { knownIps = JSON.parse(fs.readFileSync(knownIpsPath, 'utf8')); } catch {}
-      knownIps[ip] = who;
-      fs.writeFileSync(knownIpsPath, JSON.stringify(knownIps, null, 2) + '\n');
+/** Older clients send "dblclick". */
+const TOUCH_ALIASES = { dblclick: 'doubleclick' };
+
+// --- Route: POST /api/touch ---
+// Body: { type, x, y, onSprite, direction?, say?, choice? } — type is one of TOUCH_HANDLERS.
+router.post('/api/touch', async ({ req, res }) => {
+  const body = await readJsonBody(req);
+  if (!body || typeof body !== 'object' || Array.isArray(body)) throw badRequest('Body must be a JSON object');
+  const type = TOUCH_ALIASES[body.type] || body.type;
+  const handler = Object.prototype.hasOwnProperty.call(TOUCH_HANDLERS, type) ? TOUCH_HANDLERS[type] : null;
+  if (!handler) {
+    throw validationFailed('Unknown gesture', { type: `Must be one of ${Object.keys(TOUCH_HANDLERS).join(', ')}` });
+  }
 
-      // Log identification
-      const logEntry = { ts: new Date().toISOString(), type: 'identify', ip, who, emoji: body.emoji || '' };
-      fs.appendFileSync(path.join(DASH_DIR, 'data', 'touch-log.jsonl'), JSON.stringify(logEntry) + '\n');
+  const ip = req.socket.remoteAddress || '';
+  const caller = identity.identify(req);
+  const who = caller ? caller.member.id : null;
+  const logEntry = {
+    ts: new Date().toISOString(),
+    type,
+    x: body.x,
+    y: body.y,
+    onSprite: !!body.onSprite,
+    ...(body.direction !== undefined ? { direction: body.direction } : {}),
+    ip,
+    ...(who ? { who, device: caller.device && caller.device.id } : { unknown: true })
+  };
+  const touch = { body: { ...body, type }, caller, who, isGuest: !hasRole(caller, 'member'), ip, logEntry };
 
-      // Re-trigger touch reaction so they get immediate feedback
-      let reactionResp = {};
-      try {
-        const state = JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
-        if (!preReactionState) {
-          preReactionState = { mood: state.mood, status: state.status };
-        }
-        if (who === 'guest') {
-          state.mood = 'curious';
-          state.status = 'who goes there? 👀';
-        } else {
-          const reaction = TOUCH_REACTIONS[Math.floor(Math.random() * TOUCH_REACTIONS.length)];
-          state.mood = reaction.mood;
-          state.status = reaction.status;
-          reactionResp = reaction;
-        }
-        fs.writeFileSync(STATE_FILE, JSON.stringify(state, null, 2) + '\n');
-        // Revert after 5s
-        if (reactionRevertTimer) clearTimeout(reactionRevertTimer);
-        const restoreTo = { ...preReactionState };
-        const savedMood = state.mood;
-        const savedStatus = state.status;
-        reactionRevertTimer = setTimeout(() => {
-          preReactionState = null;
-          try {
-            const cur = JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
-            if (cur.mood === savedMood && cur.status === savedStatus) {
-              cur.mood = restoreTo.mood;
-              cur.status = restoreTo.status;
-              fs.writeFileSync(STATE_FILE, JSON.stringify(cur, null, 2) + '\n');
-            }
-          } catch {}
-        }, 5000);
-      } catch {}
+  let resp;
+  try {
+    resp = handler(touch);
+  } finally {
+    // Always log all touches — including refused ones
+    fs.appendFileSync(path.join(DASH_DIR, 'data', 'touch-log.jsonl'), JSON.stringify(logEntry) + '\n');
+    if (who) touchInbox.append(logEntry);
+  }
 
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ ok: true, who }));
-    } catch (e) {
-      res.writeHead(400);
-      res.end(JSON.stringify({ error: e.message }));
+  if (!resp) {
+    if (who && touch.isGuest) {
+      resp = { ok: true, who, ...(caller.member.greeting || { mood: 'curious', status: 'who goes there? 👀' }) };
+    } else if (who) {
+      resp = { ok: true, who };
+    } else {
+      resp = { ok: true, unknown: true, needsIdentify: !!body.onSprite };
     }
-    return;
   }
+  sendJson(res, 200, resp);
+});
 
-  // --- Route: POST /api/spatial-cache (agent writes back analysis results) ---
-  if (req.url === '/api/spatial-cache' && req.method === 'POST') {
-    try {
-      const body = await readJsonBody(req);
-      const { room, cell, description } = body;
-      if (!room || !cell || !description) {
-        res.writeHead(400);
-        res.end(JSON.stringify({ error: 'room, cell, and description required' }));
-        return;
-      }
-      // Update spatial cache
-      let cache = {};
-      try { cache = JSON.parse(fs.readFileSync(SPATIAL_CACHE_FILE, 'utf8')); } catch {}
-      if (!cache[room]) cache[room] = {};
-      cache[room][cell] = description;
-      fs.writeFileSync(SPATIAL_CACHE_FILE, JSON.stringify(cache, null, 2) + '\n');
-
-      // Also update state.json with the description
-      try {
-        const state = JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
-        state.status = description;
-        fs.writeFileSync(STATE_FILE, JSON.stringify(state, null, 2) + '\n');
-      } catch {}
+/**
+ * Parse an inbox query: where to start (`after`, else the consumer's
+ * cursor) and how many to return.
+ * @param {object} query - { after?, consumer?, limit? }
+ * @returns {object} { after, limit, consumer }
+ */
+function touchQuery(query) {
+  const errors = {};
+  const consumer = query.consumer;
+  if (consumer !== undefined && !CONSUMER_PATTERN.test(consumer)) {
+    errors.consumer = 'Expected 1–40 lowercase letters, digits, "-" or "_"';
+  }
+  const after = query.after === undefined ? null : Number(query.after);
+  if (after !== null && !(Number.isInteger(after) && after >= 0)) errors.after = 'Must be a touch id (integer ≥ 0)';
+  const limit = query.limit === undefined ? 100 : Number(query.limit);
+  if (!(Number.isInteger(limit) && limit >= 1 && limit <= 500)) errors.limit = 'Must be 1–500';
+  if (Object.keys(errors).length) throw validationFailed('Invalid query', errors);
+  return { after: after !== null ? after : (consumer ? touchInbox.cursor(consumer) : 0), limit, consumer };
+}
 
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ ok: true, room, cell, cached: true }));
-    } catch (e) {
-      res.writeHead(400);
-      res.end(JSON.stringify({ error: e.message }));
+// --- Route: GET /api/touches ---
+// ?after=<id> (default: the consumer's cursor, else 0) &consumer= &limit=
+// &wait=<seconds, ≤ 60> long-polls until a touch arrives. Nothing is deleted.
+router.get('/api/touches', ownerOnly(async ({ req, res, query }) => {
+  const { after, limit, consumer } = touchQuery(query);
+  const waitS = query.wait === undefined ? 0 : Number(query.wait);
+  if (!(waitS >= 0 && waitS <= 60)) throw validationFailed('Invalid query', { wait: 'Must be 0–60 seconds' });
+
+  const controller = new AbortController();
+  req.on('close', () => controller.abort());
+  const events = await touchInbox.wait({ after, limit, timeoutMs: waitS * 1000, signal: controller.signal });
+  if (res.destroyed) return;
+  sendJson(res, 200, {
+    events,
+    lastId: touchInbox.lastId(),
+    ...(consumer ? { cursor: touchInbox.cursor(consumer) } : {})
+  }, { 'Cache-Control': 'no-cache' });
+}));
+
+// --- Route: POST /api/touches/ack ---
+// Body: { consumer, id } — everything up to `id` is handled. Cursors only move forward.
+router.post('/api/touches/ack', ownerOnly(async ({ req, res }) => {
+  const body = await readJsonBody(req);
+  const errors = {};
+  if (!body || typeof body.consumer !== 'string' || !CONSUMER_PATTERN.test(body.consumer)) errors.consumer = 'Expected 1–40 lowercase letters, digits, "-" or "_"';
+  if (!body || !(Number.isInteger(body.id) && body.id >= 0)) errors.id = 'Must be a touch id (integer ≥ 0)';
+  if (Object.keys(errors).length) throw validationFailed('Invalid ack', errors);
+  sendJson(res, 200, { consumer: body.consumer, cursor: touchInbox.ack(body.consumer, body.id), lastId: touchInbox.lastId() });
+}));
+
+// --- Route: GET /api/touches/stream (SSE: touch) ---
+// Replays touches after ?after= / the consumer's cursor / Last-Event-ID,
+// then pushes each new one. Each event's SSE id is the touch id.
+router.get('/api/touches/stream', ownerOnly(({ req, res, query }) => {
+  const lastEventId = req.headers['last-event-id'];
+  const q = touchQuery(lastEventId !== undefined && query.after === undefined ? { ...query, after: lastEventId } : query);
+  touchStream.attach(req, res);
+  for (const event of touchInbox.list({ after: q.after, limit: 500 })) sendEvent(res, 'touch', event, event.id);
+}));
+
+// --- Route: GET /api/pending-touches (legacy) ---
+// The old read-and-clear call, now a consumer of the inbox: returns what it
+// hasn't seen and acks it. Prefer /api/touches + /api/touches/ack.
+router.get('/api/pending-touches', ownerOnly(({ res }) => {
+  const events = touchInbox.list({ after: touchInbox.cursor('pending-touches'), limit: 500 });
+  if (events.length) touchInbox.ack('pending-touches', events[events.length - 1].id);
+  sendJson(res, 200, { events });
+}));
+
+// --- Route: GET /api/say ---
+// The say still playing on the dashboard, or null.
+router.get('/api/say', ({ res }) => {
+  sendJson(res, 200, { say: conversation.current() }, { 'Cache-Control': 'no-cache' });
+});
+
+// --- Route: POST /api/say (owner/agent) ---
+// Body: { lines: [string | { text, durationMs?, mood?, choices? }] } — played
+// in order in the speech bubble, interrupting any say already playing.
+// Tapped choices arrive in the touch inbox as `choice` touches.
+router.post('/api/say', ownerOnly(async ({ req, res }) => {
+  const body = await readJsonBody(req);
+  const errors = validateSay(body, { moods: emotions.names() });
+  if (errors) throw validationFailed('Invalid say', errors);
+  const message = conversation.say(normalizeSay(body), identity.identify(req).member.id);
+  events.broadcast('say', message);
+  sendJson(res, 201, message);
+}));
+
+// --- Route: POST /api/identify ---
+// Body: { who: <member id>, pin?: string }. Issues a device token as the
+// claudron_token cookie (and in the body, for scripts).
+router.post('/api/identify', async ({ req, res }) => {
+  const body = await readJsonBody(req);
+  const who = body && body.who;
+  const member = typeof who === 'string' ? identity.getMember(who) : null;
+  if (!member) {
+    throw validationFailed('Invalid identity', { who: `Must be one of ${identity.listMembers().map(m => m.id).join(', ')}` });
+  }
+  if (!canClaim(member)) {
+    throw forbidden(`${member.name} has no PIN yet — an owner or the agent has to set one`, { reason: 'pin_not_set' });
+  }
+  if (member.pinHash) {
+    if (!body.pin) throw forbidden(`${member.name} needs a PIN`, { reason: 'pin_required' });
+    const { ok, retryAfterMs } = await identity.verifyPin(member, body.pin, req.socket.remoteAddress || '');
+    if (retryAfterMs) {
+      const retryAfter = Math.ceil(retryAfterMs / 1000);
+      throw new HttpError(429, 'too_many_attempts', `Too many wrong PINs — try again in ${retryAfter}s`,
+        { reason: 'pin_locked', retryAfter });
     }
-    return;
+    if (!ok) throw forbidden('Wrong PIN', { reason: 'invalid_pin' });
   }
 
-  // --- Route: GET /api/state ---
-  if (req.url === '/api/state' && req.method === 'GET') {
-    try {
-      const data = fs.readFileSync(path.join(DASH_DIR, 'data', 'state.json'), 'utf8');
-      res.writeHead(200, { 'Content-Type': 'application/json', 'Cache-Control': 'no-cache' });
-      res.end(data);
-    } catch {
-      res.writeHead(500);
-      res.end(JSON.stringify({ error: 'Failed to read state.json' }));
-    }
-    return;
+  // Replace this device's previous token, if it had one
+  const previous = identity.identify(req);
+  if (previous && previous.device) identity.revokeDevice(previous.device.id);
+  const { token, device } = identity.issueToken(member.id, req.headers['user-agent']);
+
+  // Log identification
+  const ip = req.socket.remoteAddress || '';
+  const logEntry = { ts: new Date().toISOString(), type: 'identify', ip, who, device: device.id, emoji: member.emoji };
+  fs.appendFileSync(path.join(DASH_DIR, 'data', 'touch-log.jsonl'), JSON.stringify(logEntry) + '\n');
+
+  // Greet them (or fall back to a tap reaction) so they get immediate feedback
+  const greeting = member.greeting || tapReactionFor(member);
+  try {
+    reactions.push(greeting, REACTION_TTL.tap);
+  } catch {}
+
+  sendJson(res, 200, { ok: true, who, role: member.role, greeting, device, token },
+    { 'Set-Cookie': tokenCookie(token) });
+});
+
+// --- Route: GET /api/me ---
+router.get('/api/me', ({ req, res }) => {
+  const caller = identity.identify(req);
+  sendJson(res, 200, caller || { member: null, device: null }, { 'Cache-Control': 'no-cache' });
+});
+
+// --- Route: DELETE /api/me (forget this device) ---
+router.delete('/api/me', ({ req, res }) => {
+  const caller = identity.identify(req);
+  if (caller && caller.device) identity.revokeDevice(caller.device.id);
+  sendJson(res, 200, { ok: true }, { 'Set-Cookie': tokenCookie(null) });
+});
+
+// --- Route: GET /api/members ---
+router.get('/api/members', ({ res }) => {
+  sendJson(res, 200, { members: identity.listMembers() }, { 'Cache-Control': 'no-cache' });
+});
+
+// --- Route: POST /api/members (owner) ---
+router.post('/api/members', ownerOnly(async ({ req, res }) => {
+  const body = await readJsonBody(req);
+  const errors = validateMember(body, { moods: emotions.names() });
+  if (errors) throw validationFailed('Invalid member', errors);
+  if (identity.getMember(body.id)) throw conflict('Member already exists', { id: body.id });
+  sendJson(res, 201, await identity.addMember(body));
+}));
+
+// --- Route: PATCH /api/members/:id (owner) ---
+router.patch('/api/members/:id', ownerOnly(async ({ req, res, params }) => {
+  const current = identity.getMember(params.id);
+  if (!current) throw notFound('Member not found', { id: params.id });
+  const body = await readJsonBody(req);
+  const errors = validateMember(body, { partial: true, moods: emotions.names(), current });
+  if (errors) throw validationFailed('Invalid member', errors);
+  if (body.id !== undefined && body.id !== params.id) {
+    throw validationFailed('Invalid member', { id: 'Can\'t be changed' });
+  }
+  if (!identity.keepsAnOwner(params.id, { ...current, ...body })) {
+    throw conflict('The household needs at least one owner');
+  }
+  sendJson(res, 200, await identity.updateMember(params.id, body));
+}));
+
+// --- Route: DELETE /api/members/:id (owner; revokes their devices) ---
+router.delete('/api/members/:id', ownerOnly(({ res, params }) => {
+  if (!identity.getMember(params.id)) throw notFound('Member not found', { id: params.id });
+  if (!identity.keepsAnOwner(params.id, null)) throw conflict('The household needs at least one owner');
+  identity.removeMember(params.id);
+  sendJson(res, 200, { ok: true });
+}));
+
+// --- Route: GET /api/devices (owner) ---
+router.get('/api/devices', ownerOnly(({ res }) => {
+  sendJson(res, 200, { devices: identity.listDevices() }, { 'Cache-Control': 'no-cache' });
+}));
+
+// --- Route: DELETE /api/devices/:id (owner) ---
+router.delete('/api/devices/:id', ownerOnly(({ res, params }) => {
+  if (!identity.revokeDevice(params.id)) throw notFound('Device not found', { id: params.id });
+  sendJson(res, 200, { ok: true });
+}));
+
+// --- Route: POST /api/spatial-cache (agent writes back analysis results) ---
+router.post('/api/spatial-cache', ownerOnly(async ({ req, res }) => {
+  const body = await readJsonBody(req);
+  if (!body || typeof body !== 'object' || Array.isArray(body)) throw badRequest('Body must be a JSON object');
+  const { room, cell, description } = body;
+  if (!room || !cell || !description) {
+    const fields = {};
+    for (const [k, v] of Object.entries({ room, cell, description })) if (!v) fields[k] = 'Required';
+    throw validationFailed('room, cell, and description required', fields);
+  }
+  // Update spatial cache
+  let cache = {};
+  try { cache = JSON.parse(fs.readFileSync(SPATIAL_CACHE_FILE, 'utf8')); } catch {}
+  if (!cache[room]) cache[room] = {};
+  cache[room][cell] = description;
+  fs.writeFileSync(SPATIAL_CACHE_FILE, JSON.stringify(cache, null, 2) + '\n');
+
+  // Also update state.json with the description
+  try {
+    const state = JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
+    state.status = description;
+    reactions.cancel();
+    writeState(state);
+  } catch {}
+
+  sendJson(res, 200, { ok: true, room, cell, cached: true });
+}));
+
+// --- Route: GET /api/state ---
+router.get('/api/state', ({ res }) => {
+  let data;
+  try {
+    data = fs.readFileSync(STATE_FILE, 'utf8');
+  } catch {
+    throw new HttpError(500, 'state_unavailable', 'Failed to read state.json');
   }
+  sendJson(res, 200, data, { 'Cache-Control': 'no-cache' });
+});
 
-  // --- Route: GET /api/weather ---
-  if (req.url === '/api/weather' && req.method === 'GET') {
-    try {
-      const weather = await getWeather();
-      res.writeHead(200, { 'Content-Type': 'application/json', 'Cache-Control': 'no-cache' });
-      res.end(JSON.stringify(weather));
-    } catch {
-      res.writeHead(500);
-      res.end(JSON.stringify({ temp_f: null, icon: '🌡️' }));
+// --- Route: PATCH/PUT /api/state (validated write) ---
+router.add(['PATCH', 'PUT'], '/api/state', ownerOnly(async ({ req, res }) => {
+  const body = await readJsonBody(req);
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw badRequest('Body must be a JSON object');
+  }
+  const current = readState();
+  let next;
+  if (req.method === 'PUT') {
+    next = { ...body };
+    if (next.status === undefined) next.status = '';
+  } else {
+    next = { ...current, ...body };
+    // Moving rooms without naming a location → use the new room's default
+    if (body.room !== undefined && body.room !== current.room && body.location === undefined) {
+      delete next.location;
     }
-    return;
   }
+  const errors = validateState(next, stateSchemaContext());
+  if (errors) throw validationFailed('Invalid state', errors);
+  applyLocationDefaults(next, current, body);
+  // A real write from the agent wins over any in-flight touch reaction
+  reactions.cancel();
+  writeState(next);
+  sendJson(res, 200, next);
+}));
+
+// --- Route: GET /api/mood-history ---
+router.get('/api/mood-history', ({ res, query }) => {
+  let page;
+  try {
+    page = moodLog.query(query);
+  } catch (e) {
+    throw badRequest(e.message, { field: e.field });
+  }
+  sendJson(res, 200, page, { 'Cache-Control': 'no-cache' });
+});
 
-  // --- Route: GET /api/status ---
-  if (req.url === '/api/status' && req.method === 'GET') {
-    res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify(getStatus()));
-    return;
+// --- Route: GET /api/mood-history/summary ---
+router.get('/api/mood-history/summary', ({ res, query }) => {
+  let summary;
+  try {
+    summary = moodLog.summarize(query.date || undefined);
+  } catch (e) {
+    throw badRequest(e.message, { field: e.field });
   }
+  sendJson(res, 200, summary, { 'Cache-Control': 'no-cache' });
+});
 
-  // --- Route: GET /api/room/:name ---
-  const roomMatch = req.url.match(/^\/api\/room\/([a-z_-]+)$/);
-  if (roomMatch && req.method === 'GET') {
-    try {
-      const data = fs.readFileSync(path.join(DASH_DIR, 'rooms', roomMatch[1], 'config.json'), 'utf8');
-      res.writeHead(200, { 'Content-Type': 'application/json', 'Cache-Control': 'no-cache' });
-      res.end(data);
-    } catch {
-      res.writeHead(404);
-      res.end(JSON.stringify({ error: 'Room not found' }));
-    }
-    return;
+// --- Route: GET /api/routine ---
+router.get('/api/routine', ({ res }) => {
+  sendJson(res, 200, routine.withDefaults(loadRoutine()), { 'Cache-Control': 'no-cache' });
+});
+
+// --- Route: PUT /api/routine ---
+router.put('/api/routine', ownerOnly(async ({ req, res }) => {
+  const body = await readJsonBody(req);
+  const errors = routine.validateRoutine(body, stateSchemaContext());
+  if (errors) throw validationFailed('Invalid routine', errors);
+  writeJsonAtomic(ROUTINE_FILE, body);
+  sendJson(res, 200, routine.withDefaults(body));
+}));
+
+// --- Route: GET /api/routine/preview?at= ---
+router.get('/api/routine/preview', ({ res, query }) => {
+  const at = routine.resolveTime(query.at, Date.now());
+  if (!at) throw badRequest('Invalid time', { field: 'at' });
+  const r = routine.withDefaults(loadRoutine());
+  const plan = routine.planAt(r, at, { readRoomConfig, weatherRules: currentWeatherRules() });
+  sendJson(res, 200, {
+    at: at.toISOString(),
+    enabled: r.enabled,
+    overriddenNow: isRoutineOverridden(r),
+    window: plan ? plan.window : null,
+    weather: plan ? plan.weather : [],
+    state: plan ? plan.state : null
+  }, { 'Cache-Control': 'no-cache' });
+});
+
+// --- Route: GET /api/events (SSE: state, room, weather, say, say-answer, emotions) ---
+router.get('/api/events', ({ req, res }) => {
+  events.attach(req, res);
+});
+
+// --- Route: GET /api/weather ---
+router.get('/api/weather', async ({ res }) => {
+  sendJson(res, 200, withWeatherEffects(await getWeather()), { 'Cache-Control': 'no-cache' });
+});
+
+// --- Route: GET /api/settings/weather ---
+router.get('/api/settings/weather', ({ res }) => {
+  sendJson(res, 200, settings.get('weather'), { 'Cache-Control': 'no-cache' });
+});
+
+// --- Route: PUT /api/settings/weather ---
+// Fields left out fall back to env vars / defaults.
+router.put('/api/settings/weather', ownerOnly(async ({ req, res }) => {
+  const body = await readJsonBody(req);
+  const errors = validateWeatherSettings(body);
+  if (errors) throw validationFailed('Invalid weather settings', errors);
+  const saved = settings.save('weather', body);
+  pushWeather().catch(logWeatherError);
+  sendJson(res, 200, saved);
+}));
+
+// --- Route: GET /api/wakes ---
+// Recent wakes, newest first: delivered, partial, failed, throttled, dropped.
+router.get('/api/wakes', ownerOnly(({ res, query }) => {
+  const limit = query.limit === undefined ? 50 : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+    throw validationFailed('Invalid query', { limit: 'Must be an integer from 1 to 200' });
+  }
+  sendJson(res, 200, { wakes: waker.log(limit) }, { 'Cache-Control': 'no-cache' });
+}));
+
+// --- Route: POST /api/wakes/test ---
+// Body: { text? } — sends a wake through every adapter now (skips the
+// throttle) and answers once delivery has finished.
+router.post('/api/wakes/test', ownerOnly(async ({ req, res }) => {
+  const body = await readJsonBody(req);
+  if (!body || typeof body !== 'object' || Array.isArray(body)) throw badRequest('Body must be a JSON object');
+  if (body.text !== undefined && (typeof body.text !== 'string' || !body.text.trim())) {
+    throw validationFailed('Invalid test wake', { text: 'Must be a non-empty string' });
   }
+  const caller = identity.identify(req);
+  const { done } = waker.wake({
+    who: caller.member.id,
+    key: caller.member.id,
+    type: 'test',
+    text: body.text || `Test wake from ${caller.member.id} via the dashboard`,
+    force: true
+  });
+  sendJson(res, 200, await done);
+}));
+
+// --- Route: GET /api/settings/wake ---
+router.get('/api/settings/wake', ownerOnly(({ res }) => {
+  sendJson(res, 200, settings.get('wake'), { 'Cache-Control': 'no-cache' });
+}));
+
+// --- Route: PUT /api/settings/wake ---
+// Throttling and retries only; fields left out fall back to WAKE_* env
+// vars / defaults. Adapters are never taken over HTTP (422) — the ones in
+// data/settings.json are kept as they are.
+router.put('/api/settings/wake', ownerOnly(async ({ req, res }) => {
+  const body = await readJsonBody(req);
+  const errors = validateWakeSettings(body, waker.adapters, { allowAdapters: false });
+  if (errors) throw validationFailed('Invalid wake settings', errors);
+  const { adapters } = settings.stored('wake');
+  sendJson(res, 200, settings.save('wake', adapters ? { ...body, adapters } : body));
+}));
+
+// --- Route: GET /api/weather/rules ---
+router.get('/api/weather/rules', ({ res }) => {
+  sendJson(res, 200, loadWeatherRules(), { 'Cache-Control': 'no-cache' });
+});
 
-  // --- Route: PUT /api/room/:name/location/:loc ---
-  const locMatch = req.url.match(/^\/api\/room\/([a-z_-]+)\/location\/([a-z_-]+)$/);
-  if (locMatch && req.method === 'PUT') {
-    try {
-      const update = await readJsonBody(req);
-      const cfg = readRoomConfig(locMatch[1]);
-      if (!cfg.locations[locMatch[2]]) {
-        res.writeHead(404);
-        res.end(JSON.stringify({ error: 'Location not found' }));
-        return;
-      }
-      const loc = cfg.locations[locMatch[2]];
-      if (update.x !== undefined) loc.x = update.x;
-      if (update.y !== undefined) loc.y = update.y;
-      if (update.facing !== undefined) loc.facing = update.facing;
-      if (update.rotation !== undefined) loc.rotation = update.rotation;
-      if (update.mood !== undefined) loc.mood = update.mood;
-      if (update.mood === '') delete loc.mood;
-      writeRoomConfig(locMatch[1], cfg);
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ ok: true }));
-    } catch (e) {
-      res.writeHead(400);
-      res.end(JSON.stringify({ error: e.message }));
-    }
-    return;
+// --- Route: PUT /api/weather/rules ---
+router.put('/api/weather/rules', ownerOnly(async ({ req, res }) => {
+  const body = await readJsonBody(req);
+  const errors = weatherRules.validateRules(body, stateSchemaContext());
+  if (errors) throw validationFailed('Invalid weather rules', errors);
+  writeJsonAtomic(WEATHER_RULES_FILE, body);
+  pushWeather().catch(logWeatherError);
+  sendJson(res, 200, body);
+}));
+
+// --- Route: POST /api/weather/rules/test (stubbed weather) ---
+// Body: { weather: { code, is_day }, at?: ISO|epoch ms|HH:MM, rules?: {...} }
+router.post('/api/weather/rules/test', async ({ req, res }) => {
+  const body = await readJsonBody(req);
+  const stub = (body && body.weather) || {};
+  if (typeof stub.code !== 'number') {
+    throw validationFailed('Invalid weather', { 'weather.code': 'Must be a number' });
+  }
+  const at = routine.resolveTime(body.at, Date.now());
+  if (!at) throw validationFailed('Invalid time', { at: 'Expected ISO time, epoch ms or HH:MM' });
+  if (body.rules !== undefined) {
+    const errors = weatherRules.validateRules(body.rules, stateSchemaContext());
+    if (errors) throw validationFailed('Invalid weather rules', errors);
   }
+  const matched = weatherRules.matchRules(body.rules || loadWeatherRules(), stub);
+  const plan = routine.planAt(loadRoutine(), at, { readRoomConfig, weatherRules: matched });
+  sendJson(res, 200, {
+    at: at.toISOString(),
+    effects: weatherRules.describeEffects(matched),
+    window: plan ? plan.window : null,
+    state: plan ? plan.state : null
+  });
+});
 
-  // --- Route: DELETE /api/room/:name/location/:loc ---
-  if (locMatch && req.method === 'DELETE') {
-    try {
-      const cfg = readRoomConfig(locMatch[1]);
-      if (!cfg.locations[locMatch[2]]) {
-        res.writeHead(404);
-        res.end(JSON.stringify({ error: 'Location not found' }));
-        return;
-      }
-      delete cfg.locations[locMatch[2]];
-      writeRoomConfig(locMatch[1], cfg);
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ ok: true }));
-    } catch (e) {
-      res.writeHead(400);
-      res.end(JSON.stringify({ error: e.message }));
-    }
-    return;
+// --- Route: GET /api/reactions ---
+router.get('/api/reactions', ({ res }) => {
+  sendJson(res, 200, touchReactions.withDefaults(loadReactions()), { 'Cache-Control': 'no-cache' });
+});
+
+// --- Route: PUT /api/reactions (whole pool) ---
+router.put('/api/reactions', ownerOnly(async ({ req, res }) => {
+  const body = await readJsonBody(req);
+  const errors = touchReactions.validateReactions(body, stateSchemaContext());
+  if (errors) throw validationFailed('Invalid reactions', errors);
+  writeJsonAtomic(REACTIONS_FILE, body);
+  sendJson(res, 200, touchReactions.withDefaults(body));
+}));
+
+// --- Route: POST /api/reactions (add one) ---
+router.post('/api/reactions', ownerOnly(async ({ req, res }) => {
+  const body = await readJsonBody(req);
+  const errors = touchReactions.validateReaction(body, stateSchemaContext());
+  if (errors) throw validationFailed('Invalid reaction', errors);
+  const doc = loadReactions();
+  const list = doc.reactions || [];
+  if (list.some(r => r.id === body.id)) throw conflict('Reaction already exists', { id: body.id });
+  writeJsonAtomic(REACTIONS_FILE, { ...doc, reactions: [...list, body] });
+  sendJson(res, 201, body);
+}));
+
+// --- Route: POST /api/reactions/test ---
+// Body: { tap?: { gesture, mood, room, hour, who, streak }, seed?: int, reactions?: {...} }
+// Missing tap fields default to the current state/hour, nobody, streak 1.
+// Cooldowns are ignored; the same seed always gives the same pick.
+router.post('/api/reactions/test', async ({ req, res }) => {
+  const body = (await readJsonBody(req)) || {};
+  const tap = { ...tapContext(null, 1), ...(body.tap || {}) };
+  const errors = {};
+  if (!(Number.isInteger(tap.hour) && tap.hour >= 0 && tap.hour <= 23)) errors['tap.hour'] = 'Must be a whole hour 0–23';
+  if (!(Number.isInteger(tap.streak) && tap.streak >= 1)) errors['tap.streak'] = 'Must be a whole number ≥ 1';
+  if (!touchReactions.GESTURES.includes(tap.gesture)) errors['tap.gesture'] = `Must be one of ${touchReactions.GESTURES.join(', ')}`;
+  if (body.seed !== undefined && !Number.isInteger(body.seed)) errors.seed = 'Must be an integer';
+  if (body.reactions !== undefined) Object.assign(errors, touchReactions.validateReactions(body.reactions, stateSchemaContext()));
+  if (Object.keys(errors).length) throw validationFailed('Invalid test', errors);
+
+  const doc = body.reactions || loadReactions();
+  const member = tap.who ? identity.getMember(tap.who) : null;
+  const extra = touchReactions.memberReactions(member);
+  const picker = touchReactions.createReactionPicker({ loadReactions: () => doc, seed: body.seed });
+  const candidates = picker.preview(tap, extra, { ignoreCooldowns: true });
+  const picked = picker.pick(tap, extra);
+  sendJson(res, 200, {
+    tap,
+    candidates: candidates.map(({ id, mood, status, weight, chance }) => ({ id, mood, status, weight: weight || 1, chance })),
+    pick: picked ? { id: picked.id, ...picked.reaction } : null
+  });
+});
+
+// --- Route: GET /api/reactions/:id ---
+router.get('/api/reactions/:id', ({ res, params }) => {
+  const found = (loadReactions().reactions || []).find(r => r.id === params.id);
+  if (!found) throw notFound('Reaction not found', { id: params.id });
+  sendJson(res, 200, found, { 'Cache-Control': 'no-cache' });
+});
+
+// --- Route: PUT /api/reactions/:id ---
+router.put('/api/reactions/:id', ownerOnly(async ({ req, res, params }) => {
+  const doc = loadReactions();
+  const list = doc.reactions || [];
+  const i = list.findIndex(r => r.id === params.id);
+  if (i < 0) throw notFound('Reaction not found', { id: params.id });
+  const body = await readJsonBody(req);
+  const next = { id: params.id, ...body };
+  const errors = touchReactions.validateReaction(next, stateSchemaContext());
+  if (body && body.id !== undefined && body.id !== params.id) {
+    throw validationFailed('Invalid reaction', { ...errors, id: 'Can\'t be changed' });
   }
+  if (errors) throw validationFailed('Invalid reaction', errors);
+  list[i] = next;
+  writeJsonAtomic(REACTIONS_FILE, { ...doc, reactions: list });
+  sendJson(res, 200, next);
+}));
+
+// --- Route: DELETE /api/reactions/:id ---
+router.delete('/api/reactions/:id', ownerOnly(({ res, params }) => {
+  const doc = loadReactions();
+  const list = doc.reactions || [];
+  if (!list.some(r => r.id === params.id)) throw notFound('Reaction not found', { id: params.id });
+  writeJsonAtomic(REACTIONS_FILE, { ...doc, reactions: list.filter(r => r.id !== params.id) });
+  sendJson(res, 200, { ok: true });
+}));
 
-  // --- Route: POST /api/room/:name/location ---
-  const locPostMatch = req.url.match(/^\/api\/room\/([a-z_-]+)\/location$/);
-  if (locPostMatch && req.method === 'POST') {
-    try {
-      const { name: locName, x, y, facing, emoji } = await readJsonBody(req);
-      if (!locName) {
-        res.writeHead(400);
-        res.end(JSON.stringify({ error: 'name required' }));
-        return;
-      }
-      const cfg = readRoomConfig(locPostMatch[1]);
-      if (cfg.locations[locName]) {
-        res.writeHead(409);
-        res.end(JSON.stringify({ error: 'Location already exists' }));
-        return;
-      }
-      cfg.locations[locName] = { x: x || 0.5, y: y || 0.5, facing: facing || 'right', emoji: emoji || '📍' };
-      writeRoomConfig(locPostMatch[1], cfg);
-      res.writeHead(201, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ ok: true }));
-    } catch (e) {
-      res.writeHead(400);
-      res.end(JSON.stringify({ error: e.message }));
-    }
-    return;
+/**
+ * Which config files would stop validating under a narrower context — a
+ * config "uses" a mood or room if it's valid now but not once it's gone.
+ * @param {object} without - stateSchemaContext() minus something.
+ * @returns {string[]} Some of 'routine', 'weather-rules', 'reactions'.
+ */
+function configsBrokenBy(without) {
+  const ctx = stateSchemaContext();
+  const checks = {
+    routine: c => routine.validateRoutine(loadRoutine(), c),
+    'weather-rules': c => weatherRules.validateRules(loadWeatherRules(), c),
+    reactions: c => touchReactions.validateReactions(loadReactions(), c)
+  };
+  return Object.keys(checks).filter(k => !checks[k](ctx) && checks[k](without));
+}
+
+/**
+ * Where moods about to disappear are still used — state, routine, weather
+ * rules, reactions, member greetings or room locations would otherwise
+ * point at a face that falls back to `happy`.
+ * @param {string[]} names
+ * @returns {object} name → ['state', 'routine', ...], only for names in use.
+ */
+function moodUsers(names) {
+  const ctx = stateSchemaContext();
+  const out = {};
+  for (const name of names) {
+    const users = configsBrokenBy({ ...ctx, moods: ctx.moods.filter(m => m !== name) });
+    if (readState().mood === name) users.unshift('state');
+    const inMembers = identity.listMembers()
+      .some(m => [m.greeting, ...(m.reactions || [])].some(r => r && r.mood === name));
+    if (inMembers) users.push('members');
+    const inRooms = listRooms()
+      .some(id => Object.values(readRoomConfig(id).locations || {}).some(loc => loc && loc.mood === name));
+    if (inRooms) users.push('rooms');
+    if (users.length) out[name] = users;
   }
+  return out;
+}
 
-  // --- Route: GET /locations.json (legacy) ---
-  if (req.url === '/locations.json' && req.method === 'GET') {
-    try {
-      const data = fs.readFileSync(LOCATIONS_FILE, 'utf8');
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(data);
-    } catch {
-      res.writeHead(500);
-      res.end(JSON.stringify({ error: 'Failed to read locations.json' }));
-    }
-    return;
+/**
+ * Save a new custom set, refusing to drop moods that are still in use.
+ * @param {object} next - name → recipe (validated).
+ * @returns {object} emotionsPayload()
+ * @throws {HttpError} 409 with `details.usedBy`.
+ */
+function saveEmotions(next) {
+  const builtIn = emotions.builtIn();
+  // Dropping an override just brings the built-in back, so only new names count
+  const gone = Object.keys(emotions.custom()).filter(name => !next[name] && !builtIn.includes(name));
+  const usedBy = moodUsers(gone);
+  if (Object.keys(usedBy).length) {
+    throw conflict(`Still in use: ${Object.keys(usedBy).join(', ')}`, { usedBy });
   }
+  emotions.save(next);
+  const payload = emotionsPayload();
+  events.broadcast('emotions', payload);
+  return payload;
+}
 
-  // --- Route: POST/PUT /locations.json (legacy) ---
-  if (req.url === '/locations.json' && (req.method === 'POST' || req.method === 'PUT')) {
-    try {
-      const update = await readJsonBody(req);
-      const locData = JSON.parse(fs.readFileSync(LOCATIONS_FILE, 'utf8'));
-      if (update.current) {
-        if (!locData.locations[update.current]) {
-          res.writeHead(400);
-          res.end(JSON.stringify({ error: `Unknown location: ${update.current}` }));
-          return;
-        }
-        locData.current = update.current;
-      }
-      fs.writeFileSync(LOCATIONS_FILE, JSON.stringify(locData, null, 2) + '\n');
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify(locData));
-    } catch (e) {
-      res.writeHead(400);
-      res.end(JSON.stringify({ error: e.message }));
-    }
-    return;
+// --- Route: GET /api/emotions ---
+// Built-in and custom recipes merged, plus which is which.
+router.get('/api/emotions', ({ res }) => {
+  sendJson(res, 200, emotionsPayload(), { 'Cache-Control': 'no-cache' });
+});
+
+// --- Route: PUT /api/emotions (owner) ---
+// Body: { emotions: { name: recipe } } — replaces every custom mood.
+router.put('/api/emotions', ownerOnly(async ({ req, res }) => {
+  const body = await readJsonBody(req);
+  if (!body || typeof body !== 'object' || Array.isArray(body)) throw badRequest('Body must be a JSON object');
+  const errors = validateEmotions(body.emotions);
+  if (errors) throw validationFailed('Invalid emotions', errors);
+  sendJson(res, 200, saveEmotions(body.emotions));
+}));
+
+// --- Route: PUT /api/emotions/:name (owner) ---
+// Add or replace one custom mood (a built-in name overrides the built-in).
+router.put('/api/emotions/:name', ownerOnly(async ({ req, res, params }) => {
+  if (!MOOD_NAME_PATTERN.test(params.name)) {
+    throw validationFailed('Invalid emotion', { name: 'Names are 1–24 lowercase letters, digits or "-", starting with a letter' });
+  }
+  const body = await readJsonBody(req);
+  const errors = validateRecipe(body);
+  if (errors) throw validationFailed('Invalid emotion', errors);
+  const created = !emotions.custom()[params.name];
+  saveEmotions({ ...emotions.custom(), [params.name]: body });
+  sendJson(res, created ? 201 : 200, body);
+}));
+
+// --- Route: DELETE /api/emotions/:name (owner) ---
+// Removes a custom mood (or an override, restoring the built-in).
+router.delete('/api/emotions/:name', ownerOnly(({ res, params }) => {
+  const custom = emotions.custom();
+  if (!custom[params.name]) {
+    throw notFound(emotions.builtIn().includes(params.name)
+      ? `"${params.name}" is built in and can't be removed` : 'Emotion not found', { name: params.name });
+  }
+  delete custom[params.name];
+  saveEmotions(custom);
+  sendJson(res, 200, { ok: true });
+}));
+
+// --- Route: GET /api/status ---
+router.get('/api/status', ({ res }) => {
+  sendJson(res, 200, getStatus());
+});
+
+// =========================================================================
+//  Room Management
+// =========================================================================
+
+/**
+ * Pull the new-room fields out of a request: multipart (with an optional
+ * `wallpaper` file) or JSON (cloning needs no upload).
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<object>} { body, wallpaper }
+ */
+async function readRoomUpload(req) {
+  if (!isMultipart(req)) {
+    const body = await readJsonBody(req);
+    if (!body || typeof body !== 'object' || Array.isArray(body)) throw badRequest('Body must be a JSON object');
+    return { body, wallpaper: null };
   }
+  // Leave room for the form fields around the file
+  const { fields, files } = await readMultipartBody(req, { maxBytes: MAX_WALLPAPER_BYTES + 64 * 1024 });
+  const extra = Object.keys(files).filter(f => f !== 'wallpaper');
+  if (extra.length) throw validationFailed('Invalid room', { [extra[0]]: 'Unknown file field' });
+  return { body: fields, wallpaper: files.wallpaper ? files.wallpaper.data : null };
+}
 
-  // --- Static file serving (check public/ first, then root) ---
-  let filePath = req.url === '/' ? '/index.html' : req.url;
-  const publicPath = path.join(DASH_DIR, 'public', filePath);
-  filePath = fs.existsSync(publicPath) ? publicPath : path.join(DASH_DIR, filePath);
+/**
+ * Push a room's new config to dashboards showing it.
+ * @param {string} room
+ */
+function broadcastRoomIfCurrent(room) {
+  if (readState().room !== room) return;
+  const payload = roomEventPayload(room);
+  if (payload) events.broadcast('room', payload);
+}
 
-  const ext = path.extname(filePath);
-  const contentType = MIME_TYPES[ext] || 'text/plain';
+// --- Route: GET /api/rooms ---
+router.get('/api/rooms', ({ res }) => {
+  sendJson(res, 200, { rooms: listRooms().map(id => roomStore.summary(id)) }, { 'Cache-Control': 'no-cache' });
+});
+
+// --- Route: POST /api/rooms (owner) ---
+// Multipart: id, name?, emoji?, default?, from?, wallpaper (PNG file).
+// JSON works too when cloning (`from`) without a new wallpaper.
+router.post('/api/rooms', ownerOnly(async ({ req, res }) => {
+  const { body, wallpaper } = await readRoomUpload(req);
+  const { id, from } = body;
+  const errors = {};
+  if (typeof id !== 'string' || !ROOM_ID_PATTERN.test(id)) {
+    errors.id = 'Expected 1–32 lowercase letters, digits, "-" or "_"';
+  }
+  let sourceLocations;
+  if (from !== undefined) {
+    if (!roomStore.exists(from)) errors.from = `Unknown room "${from}"`;
+    else sourceLocations = Object.keys(readRoomConfig(from).locations || {});
+  } else if (!wallpaper) {
+    errors.wallpaper = 'Required (a PNG upload) unless cloning with `from`';
+  }
+  Object.assign(errors, validateRoomFields(body, { locations: sourceLocations, extra: ['id', 'from'] }));
+  if (wallpaper) {
+    const problem = validateWallpaper(wallpaper);
+    if (problem) errors.wallpaper = problem;
+  }
+  if (Object.keys(errors).length) throw validationFailed('Invalid room', errors);
+  if (roomStore.exists(id)) throw conflict('Room already exists', { room: id });
+  const room = roomStore.create({ id, name: body.name, emoji: body.emoji, default: body.default, wallpaper, from });
+  sendJson(res, 201, room);
+}));
+
+// --- Route: PATCH /api/rooms/:name (owner) ---
+// Body: { name?, emoji?, default? } — `default` must be one of its locations.
+router.patch('/api/rooms/:name', ownerOnly(async ({ req, res, params }) => {
+  const room = requireRoom(params.name);
+  const body = await readJsonBody(req);
+  const errors = validateRoomFields(body, { locations: Object.keys(readRoomConfig(room).locations || {}) });
+  if (errors) throw validationFailed('Invalid room', errors);
+  roomStore.update(room, body);
+  broadcastRoomIfCurrent(room);
+  sendJson(res, 200, roomStore.summary(room));
+}));
+
+// --- Route: DELETE /api/rooms/:name (owner) ---
+// 409 while state.json, the routine, weather rules or reactions point there.
+router.delete('/api/rooms/:name', ownerOnly(({ res, params }) => {
+  const room = requireRoom(params.name);
+  const ctx = stateSchemaContext();
+  const usedBy = configsBrokenBy({ ...ctx, rooms: ctx.rooms.filter(r => r !== room) });
+  if (readState().room === room) usedBy.unshift('state');
+  if (usedBy.length) throw conflict(`Room "${room}" is still in use`, { room, usedBy });
+  roomStore.remove(room);
+  // Doorways into it lead nowhere now
+  roomStore.dropExits(exit => exit.room === room).forEach(broadcastRoomIfCurrent);
+  sendJson(res, 200, { ok: true });
+}));
+
+// --- Route: GET /api/room/:name ---
+router.get('/api/room/:name', ({ res, params }) => {
+  const room = requireRoom(params.name);
+  sendJson(res, 200, fs.readFileSync(path.join(DASH_DIR, 'rooms', room, 'config.json'), 'utf8'),
+    { 'Cache-Control': 'no-cache' });
+});
 
+// --- Route: PUT /api/room/:name/location/:loc ---
+// Body: any of x, y, facing, rotation, emoji, mood, statusPool, scale,
+// zIndex, mask — '' / [] / null clear the metadata ones.
+router.put('/api/room/:name/location/:loc', ownerOnly(async ({ req, res, params }) => {
+  const room = requireRoom(params.name);
+  const update = await readJsonBody(req);
+  const cfg = readRoomConfig(room);
+  const loc = Object.hasOwn(cfg.locations, params.loc) ? cfg.locations[params.loc] : null;
+  if (!loc) throw notFound('Location not found', { room, location: params.loc });
+  const errors = validateLocationFields(update, { moods: stateSchemaContext().moods });
+  if (errors) throw validationFailed('Invalid location', errors);
+  applyLocationFields(loc, update);
+  writeRoomConfig(room, cfg);
+  broadcastRoomIfCurrent(room);
+  sendJson(res, 200, { ok: true, location: loc });
+}));
+
+// --- Route: PUT /api/room/:name/locations (owner) ---
+// Body: { locations: { name: { x?, y?, facing?, rotation?, ... } } } — the
+// editor's "save all". Every change is validated before any is applied, and
+// config.json is written once: all of them land or none do.
+router.put('/api/room/:name/locations', ownerOnly(async ({ req, res, params }) => {
+  const room = requireRoom(params.name);
+  const body = await readJsonBody(req);
+  if (!body || typeof body !== 'object' || Array.isArray(body)) throw badRequest('Body must be a JSON object');
+  const changes = body.locations;
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    throw validationFailed('Invalid locations', { locations: 'Must be an object of location name → changes' });
+  }
+  const cfg = readRoomConfig(room);
+  const moods = stateSchemaContext().moods;
+  const errors = {};
+  for (const [name, update] of Object.entries(changes)) {
+    if (!Object.hasOwn(cfg.locations, name)) {
+      errors[`locations.${name}`] = 'Unknown location';
+      continue;
+    }
+    for (const [field, message] of Object.entries(validateLocationFields(update, { moods }) || {})) {
+      errors[field ? `locations.${name}.${field}` : `locations.${name}`] = message;
+    }
+  }
+  if (Object.keys(errors).length) throw validationFailed('Invalid locations', errors);
+  for (const [name, update] of Object.entries(changes)) applyLocationFields(cfg.locations[name], update);
+  writeRoomConfig(room, cfg);
+  broadcastRoomIfCurrent(room);
+  sendJson(res, 200, { locations: cfg.locations });
+}));
+
+// --- Route: DELETE /api/room/:name/location/:loc ---
+router.delete('/api/room/:name/location/:loc', ownerOnly(({ res, params }) => {
+  const room = requireRoom(params.name);
+  const cfg = readRoomConfig(room);
+  if (!Object.hasOwn(cfg.locations, params.loc)) throw notFound('Location not found', { room, location: params.loc });
+  delete cfg.locations[params.loc];
+  if (cfg.paths) cfg.paths = cfg.paths.filter(edge => !edge.includes(params.loc));
+  writeRoomConfig(room, cfg);
+  // Exits from it, and other rooms' exits that enter there
+  roomStore.dropExits((exit, id) => (id === room && exit.location === params.loc) ||
+    (exit.room === room && exit.entry === params.loc)).forEach(broadcastRoomIfCurrent);
+  sendJson(res, 200, { ok: true });
+}));
+
+// --- Route: PUT /api/room/:name/paths (owner) ---
+// Body: { paths: [[from, to], ...] } — the walk graph between locations.
+router.put('/api/room/:name/paths', ownerOnly(async ({ req, res, params }) => {
+  const room = requireRoom(params.name);
+  const body = await readJsonBody(req);
+  if (!body || typeof body !== 'object' || Array.isArray(body)) throw badRequest('Body must be a JSON object');
+  const { paths } = body;
+  const cfg = readRoomConfig(room);
+  const errors = validatePaths(paths, Object.keys(cfg.locations || {}));
+  if (errors) throw validationFailed('Invalid paths', errors);
+  cfg.paths = paths;
+  writeRoomConfig(room, cfg);
+  broadcastRoomIfCurrent(room);
+  sendJson(res, 200, { paths });
+}));
+
+// --- Route: PUT /api/room/:name/exits (owner) ---
+// Body: { exits: [{ location, room, entry, transition? }, ...] } — doorways to other rooms.
+router.put('/api/room/:name/exits', ownerOnly(async ({ req, res, params }) => {
+  const room = requireRoom(params.name);
+  const body = await readJsonBody(req);
+  if (!body || typeof body !== 'object' || Array.isArray(body)) throw badRequest('Body must be a JSON object');
+  const { exits } = body;
+  const cfg = readRoomConfig(room);
+  const errors = validateExits(exits, {
+    room,
+    locations: Object.keys(cfg.locations || {}),
+    roomLocations: id => (roomStore.exists(id) ? Object.keys(readRoomConfig(id).locations || {}) : null)
+  });
+  if (errors) throw validationFailed('Invalid exits', errors);
+  cfg.exits = exits;
+  writeRoomConfig(room, cfg);
+  broadcastRoomIfCurrent(room);
+  sendJson(res, 200, { exits });
+}));
+
+// --- Route: POST /api/room/:name/location ---
+// Body: { name, ...any location field } — unset x/y/facing/emoji get starter values.
+router.post('/api/room/:name/location', ownerOnly(async ({ req, res, params }) => {
+  const room = requireRoom(params.name);
+  const body = await readJsonBody(req);
+  if (!body || typeof body !== 'object' || Array.isArray(body)) throw badRequest('Body must be a JSON object');
+  const { name: locName, ...fields } = body;
+  const errors = { ...validateLocationFields(fields, { moods: stateSchemaContext().moods }) };
+  if (typeof locName !== 'string' || !LOCATION_NAME_PATTERN.test(locName)) {
+    errors.name = 'Expected 1–40 lowercase letters, digits, "-" or "_"';
+  } else if (locName in Object.prototype) {
+    errors.name = `"${locName}" is reserved`;
+  }
+  if (Object.keys(errors).length) throw validationFailed('Invalid location', errors);
+  const cfg = readRoomConfig(room);
+  if (Object.hasOwn(cfg.locations, locName)) throw conflict('Location already exists', { room, location: locName });
+  cfg.locations[locName] = applyLocationFields({ x: 0.5, y: 0.5, facing: 'right', emoji: '📍' }, fields);
+  writeRoomConfig(room, cfg);
+  sendJson(res, 201, { ok: true });
+}));
+
+// --- Route: GET /locations.json (legacy) ---
+router.get('/locations.json', ({ res }) => {
+  let data;
   try {
-    const content = fs.readFileSync(filePath);
-    res.writeHead(200, { 'Content-Type': contentType });
-    res.end(content);
+    data = fs.readFileSync(LOCATIONS_FILE, 'utf8');
   } catch {
-    res.writeHead(404);
-    res.end('Not found');
+    throw notFound('locations.json not found');
   }
+  sendJson(res, 200, data);
 });
 
+// --- Route: POST/PUT /locations.json (legacy) ---
+router.add(['POST', 'PUT'], '/locations.json', ownerOnly(async ({ req, res }) => {
+  const update = await readJsonBody(req);
+  let locData;
+  try {
+    locData = JSON.parse(fs.readFileSync(LOCATIONS_FILE, 'utf8'));
+  } catch {
+    throw notFound('locations.json not found');
+  }
+  if (update.current) {
+    if (!locData.locations[update.current]) {
+      throw validationFailed(`Unknown location: ${update.current}`, { current: 'Unknown location' });
+    }
+    locData.current = update.current;
+  }
+  fs.writeFileSync(LOCATIONS_FILE, JSON.stringify(locData, null, 2) + '\n');
+  sendJson(res, 200, locData);
+}));
+
 // =========================================================================
-//  Start Server
+//  HTTP Server
 // =========================================================================
 
-server.listen(PORT, () => {
-  console.log(`Claudron Dashboard running at http://localhost:${PORT}`);
+/**
+ * Static files — only what the dashboard pages need. data/, lib/,
+ * server.js and the rest of the folder are never served.
+ */
+const serveStatic = createStaticServer({
+  root: DASH_DIR,
+  mounts: [
+    { url: '/js/', dir: 'js' },
+    { url: '/sprites/', dir: 'sprites' },
+    { url: '/rooms/', dir: 'rooms', only: /^[a-z0-9_-]+\/wallpaper\.png$/ },
+    { url: '/', dir: 'public' }
+  ],
+  files: { '/claudron-full-tour.mp4': 'claudron-full-tour.mp4' }
 });
+
+/** Background work shared by every listening server: { users, watcher, weatherTimer }. */
+let background = null;
+
+/** Start the state watcher, routine, status providers and weather pushes. */
+function startBackground() {
+  if (background) { background.users++; return; }
+  background = {
+    users: 1,
+    watcher: watchStateFile(),
+    weatherTimer: setInterval(() => pushWeather().catch(logWeatherError), WEATHER_PUSH_MS)
+  };
+  scheduler.start();
+  statusRegistry.start();
+}
+
+/** Stop background work once the last server has closed. */
+function stopBackground() {
+  if (!background || --background.users > 0) return;
+  background.watcher.close();
+  clearInterval(background.weatherTimer);
+  scheduler.stop();
+  statusRegistry.stop();
+  background = null;
+}
+
+/**
+ * Create the dashboard HTTP server (not yet listening). Background work
+ * starts when it begins listening and stops when it closes, so tests can
+ * boot it on an ephemeral port:
+ *
+ *   const server = createServer();
+ *   server.listen(0, () => { const { port } = server.address(); ... });
+ *
+ * @returns {http.Server}
+ */
+function createServer() {
+  const server = http.createServer(async (req, res) => {
+    // --- CORS headers ---
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    if (await router.handle(req, res)) return;
+    serveStatic(req, res);
+  });
+  server.on('listening', startBackground);
+  server.on('close', stopBackground);
+  return server;
+}
+
+module.exports = { createServer };
+
+// =========================================================================
+//  Start Server
+// =========================================================================
+
+if (require.main === module) {
+  createServer().listen(PORT, () => {
+    console.log(`Claudron Dashboard running at http://localhost:${PORT}`);
+  });
+}
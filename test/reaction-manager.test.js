@@ -0,0 +1,124 @@
+/**
+ * ============================================================================
+ * File:     dashboard/test/reaction-manager.test.js
+ * Purpose:  Reaction overlays expire and revert on a fake clock
+ *
+ * Run: node --test
+ * ============================================================================
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createReactionManager } = require('../lib/reaction-manager');
+
+/**
+ * A clock whose time only moves when advance() is called; timers due by
+ * then fire in order.
+ * @returns {object} { now, setTimeout, clearTimeout, advance }
+ */
+function fakeClock() {
+  let t = 0;
+  const timers = [];
+  return {
+    now: () => t,
+    setTimeout(fn, ms) {
+      const handle = { at: t + ms, fn };
+      timers.push(handle);
+      return handle;
+    },
+    clearTimeout(handle) {
+      const i = timers.indexOf(handle);
+      if (i >= 0) timers.splice(i, 1);
+    },
+    advance(ms) {
+      const until = t + ms;
+      for (;;) {
+        timers.sort((a, b) => a.at - b.at);
+        if (!timers.length || timers[0].at > until) break;
+        const next = timers.shift();
+        t = next.at;
+        next.fn();
+      }
+      t = until;
+    }
+  };
+}
+
+/**
+ * A manager over an in-memory state.
+ * @param {object} initial
+ * @returns {object} { reactions, clock, state(), setState(), writes }
+ */
+function setup(initial = { mood: 'sleepy', status: 'zzz', room: 'bedroom', location: 'bed' }) {
+  let state = { ...initial };
+  const writes = [];
+  const clock = fakeClock();
+  const reactions = createReactionManager({
+    readState: () => ({ ...state }),
+    writeState: next => { state = { ...next }; writes.push(state); },
+    clock
+  });
+  return { reactions, clock, writes, state: () => state, setState: s => { state = { ...s }; } };
+}
+
+test('a reaction shows until its TTL, then the base state comes back', () => {
+  const { reactions, clock, state } = setup();
+  reactions.push({ mood: 'happy', status: 'hi!' }, 5000);
+  assert.equal(state().mood, 'happy');
+  assert.equal(state().status, 'hi!');
+
+  clock.advance(4999);
+  assert.equal(state().mood, 'happy');
+
+  clock.advance(1);
+  assert.deepEqual(state(), { mood: 'sleepy', status: 'zzz', room: 'bedroom', location: 'bed' });
+  assert.deepEqual(reactions.active(), []);
+  assert.equal(reactions.baseState(), null);
+});
+
+test('overlapping reactions unwind newest first', () => {
+  const { reactions, clock, state } = setup();
+  reactions.push({ mood: 'happy', status: 'one' }, 5000);
+  clock.advance(1000);
+  reactions.push({ mood: 'excited', status: 'two' }, 2000);
+  assert.equal(state().status, 'two');
+
+  clock.advance(2000);   // t = 3000: the second one is gone
+  assert.equal(state().mood, 'happy');
+  assert.equal(state().status, 'one');
+
+  clock.advance(2000);   // t = 5000: back to the base
+  assert.equal(state().mood, 'sleepy');
+  assert.equal(state().status, 'zzz');
+});
+
+test('a location added by a reaction is removed on revert', () => {
+  const { reactions, clock, state } = setup({ mood: 'happy', status: 'ok', room: 'garden' });
+  reactions.push({ location: 'fountain', status: 'looking' }, 1000);
+  assert.equal(state().location, 'fountain');
+  clock.advance(1000);
+  assert.equal(state().location, undefined);
+});
+
+test('an outside write wins: nothing is reverted', () => {
+  const { reactions, clock, state, setState, writes } = setup();
+  reactions.push({ mood: 'happy', status: 'hi!' }, 5000);
+  setState({ ...state(), mood: 'focused', status: 'working' });
+  const before = writes.length;
+
+  clock.advance(5000);
+  assert.equal(state().mood, 'focused');
+  assert.equal(state().status, 'working');
+  assert.equal(writes.length, before);
+  assert.deepEqual(reactions.active(), []);
+});
+
+test('cancel() drops the overlays without reverting', () => {
+  const { reactions, clock, state, writes } = setup();
+  reactions.push({ mood: 'happy' }, 5000);
+  reactions.cancel();
+  const before = writes.length;
+  clock.advance(10000);
+  assert.equal(state().mood, 'happy');
+  assert.equal(writes.length, before);
+});
@@ -0,0 +1,104 @@
+/**
+ * ============================================================================
+ * File:     dashboard/test/server.test.js
+ * Purpose:  Boot createServer() on an ephemeral port and check the router's
+ *           error envelope, 404/405 handling and oversize bodies
+ *
+ * Only read-only routes are used, so the tree's data/ files are untouched.
+ *
+ * Run: node --test
+ * ============================================================================
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createServer } = require('../server');
+
+let server;
+let port;
+
+/** Keep-alive, like a browser — so `Connection: close` means the server chose it. */
+const agent = new http.Agent({ keepAlive: true });
+
+test.before(() => new Promise(resolve => {
+  server = createServer();
+  server.listen(0, '127.0.0.1', () => {
+    port = server.address().port;
+    resolve();
+  });
+}));
+
+test.after(() => new Promise(resolve => {
+  agent.destroy();
+  server.close(resolve);
+  server.closeAllConnections();
+}));
+
+/**
+ * Make one request and parse the JSON reply.
+ * @param {string} method
+ * @param {string} path
+ * @param {string|Buffer} [body]
+ * @returns {Promise<object>} { status, headers, body }
+ */
+function request(method, path, body) {
+  return new Promise((resolve, reject) => {
+    let answered = false;
+    const req = http.request({
+      host: '127.0.0.1', port, method, path, agent,
+      headers: body === undefined ? {} : { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) }
+    }, res => {
+      answered = true;
+      let raw = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { raw += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: raw ? JSON.parse(raw) : null }));
+    });
+    // The server may answer (and hang up) before an oversize body is sent
+    req.on('error', err => { if (!answered) reject(err); });
+    req.end(body);
+  });
+}
+
+test('unknown /api paths get a JSON 404 in the error envelope', async () => {
+  const res = await request('GET', '/api/no-such-thing');
+  assert.equal(res.status, 404);
+  assert.match(res.headers['content-type'], /application\/json/);
+  assert.equal(res.body.error.code, 'not_found');
+  assert.equal(typeof res.body.error.message, 'string');
+});
+
+test('a known path with the wrong method gets 405 and an Allow header', async () => {
+  const res = await request('DELETE', '/api/weather/rules/test');
+  assert.equal(res.status, 405);
+  assert.equal(res.headers.allow, 'POST');
+  assert.equal(res.body.error.code, 'method_not_allowed');
+  assert.deepEqual(res.body.error.details.allowed, ['POST']);
+});
+
+test('malformed JSON is a 400 invalid_json', async () => {
+  const res = await request('POST', '/api/weather/rules/test', '{"weather":');
+  assert.equal(res.status, 400);
+  assert.equal(res.body.error.code, 'invalid_json');
+});
+
+test('validation errors are a 422 with per-field details', async () => {
+  const res = await request('POST', '/api/weather/rules/test', JSON.stringify({ weather: {} }));
+  assert.equal(res.status, 422);
+  assert.equal(res.body.error.code, 'validation_failed');
+  assert.ok(res.body.error.details.fields['weather.code']);
+});
+
+test('an oversize body is answered with 413 and the connection is closed', async () => {
+  const res = await request('POST', '/api/weather/rules/test', Buffer.alloc(2 * 1024 * 1024, 'a'));
+  assert.equal(res.status, 413);
+  assert.equal(res.headers.connection, 'close');
+  assert.equal(res.body.error.code, 'body_too_large');
+});
+
+test('errors on a fully read body keep the connection open', async () => {
+  const res = await request('POST', '/api/weather/rules/test', '{}');
+  assert.equal(res.status, 422);
+  assert.equal(res.headers.connection, 'keep-alive');
+});
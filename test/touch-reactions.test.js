@@ -0,0 +1,97 @@
+/**
+ * ============================================================================
+ * File:     dashboard/test/touch-reactions.test.js
+ * Purpose:  Seeded tap reaction picks: reproducible, weighted, escalating
+ *
+ * Run: node --test
+ * ============================================================================
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createReactionPicker, memberReactions } = require('../lib/touch-reactions');
+
+const DOC = {
+  streakWindowMs: 3000,
+  cooldownMs: 0,
+  reactions: [
+    { id: 'hey', mood: 'happy', status: 'hey!', weight: 3 },
+    { id: 'poke', mood: 'mischievous', status: '*poke*' },
+    { id: 'oh', mood: 'embarrassed', status: 'oh!' },
+    { id: 'stop', mood: 'angry', status: 'stop it!', when: { streak: { min: 5 } } },
+    { id: 'sleepy', mood: 'embarrassed', status: 'wha—?!', when: { moods: ['sleeping'] } }
+  ]
+};
+
+const TAP = { mood: 'happy', room: 'garden', hour: 12, who: 'ryan', streak: 1 };
+
+/**
+ * A picker over DOC with a manual clock.
+ * @param {object} [opts] - { seed, doc }
+ * @returns {object} { picker, clock }
+ */
+function setup({ seed = 42, doc = DOC } = {}) {
+  const clock = { t: 0 };
+  const picker = createReactionPicker({ loadReactions: () => doc, seed, now: () => clock.t });
+  return { picker, clock };
+}
+
+const ids = (picker, n, tap = TAP) => Array.from({ length: n }, () => picker.pick(tap).id);
+
+test('the same seed gives the same picks', () => {
+  const a = ids(setup({ seed: 7 }).picker, 20);
+  const b = ids(setup({ seed: 7 }).picker, 20);
+  assert.deepEqual(a, b);
+  assert.notDeepEqual(a, ids(setup({ seed: 8 }).picker, 20));
+});
+
+test('reset() with a seed replays the sequence', () => {
+  const { picker } = setup({ seed: 3 });
+  const first = ids(picker, 10);
+  picker.reset(3);
+  assert.deepEqual(ids(picker, 10), first);
+});
+
+test('weights set the odds', () => {
+  const { picker } = setup();
+  const odds = Object.fromEntries(picker.preview(TAP).map(r => [r.id, r.chance]));
+  assert.equal(odds.hey, 3 / 5);
+  assert.equal(odds.poke, 1 / 5);
+  assert.equal(odds.stop, undefined);      // streak too short
+  assert.equal(odds.sleepy, undefined);    // wrong mood
+
+  const counts = {};
+  for (const id of ids(picker, 500)) counts[id] = (counts[id] || 0) + 1;
+  assert.ok(counts.hey > counts.poke && counts.hey > counts.oh);
+});
+
+test('a long enough streak escalates to the top tier only', () => {
+  const { picker, clock } = setup();
+  let streak = 0;
+  for (let i = 0; i < 5; i++) {
+    clock.t += 500;
+    streak = picker.recordTap('ryan');
+  }
+  assert.equal(streak, 5);
+  assert.deepEqual(ids(picker, 5, { ...TAP, streak }), ['stop', 'stop', 'stop', 'stop', 'stop']);
+
+  clock.t += DOC.streakWindowMs + 1;
+  assert.equal(picker.recordTap('ryan'), 1);
+});
+
+test("a member's own pool beats the general one", () => {
+  const { picker } = setup();
+  const pool = memberReactions({ id: 'ryan', reactions: [{ mood: 'excited', status: 'road trip?' }] });
+  const pick = picker.pick(TAP, pool);
+  assert.deepEqual(pick.reaction, { mood: 'excited', status: 'road trip?' });
+  assert.notEqual(picker.pick({ ...TAP, who: 'miranda' }, pool).reaction.status, 'road trip?');
+});
+
+test('reactions cooling down are skipped while others are left', () => {
+  const doc = { ...DOC, cooldownMs: 60000, reactions: DOC.reactions.slice(0, 3) };
+  const { picker, clock } = setup({ doc });
+  const seen = ids(picker, 3);
+  assert.equal(new Set(seen).size, 3);
+  clock.t += 60000;
+  assert.ok(picker.preview(TAP).every(r => !r.coolingDown));
+});
@@ -0,0 +1,131 @@
+/**
+ * ============================================================================
+ * File:     dashboard/test/wake.test.js
+ * Purpose:  Agent wakes through the webhook adapter against a local HTTP
+ *           stub: retries with backoff, timeouts, throttling
+ *
+ * Run: node --test
+ * ============================================================================
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createWaker, loadAdapters, validateWakeSettings } = require('../lib/wake');
+
+/** Requests the stub has seen: { at, body }. */
+let received = [];
+
+/** What the stub does with the next request: 'fail' (500), 'ok' (204) or 'hang'. */
+let script = [];
+
+let stub;
+let url;
+
+test.before(() => new Promise(resolve => {
+  stub = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      received.push({ at: Date.now(), body: JSON.parse(raw) });
+      const action = script.shift() || 'ok';
+      if (action === 'hang') return;
+      res.writeHead(action === 'fail' ? 500 : 204);
+      res.end();
+    });
+  });
+  stub.listen(0, '127.0.0.1', () => {
+    url = `http://127.0.0.1:${stub.address().port}/wake`;
+    resolve();
+  });
+}));
+
+test.after(() => new Promise(resolve => {
+  stub.close(resolve);
+  stub.closeAllConnections();
+}));
+
+test.beforeEach(() => {
+  received = [];
+  script = [];
+});
+
+/**
+ * A waker posting to the stub.
+ * @param {object} [overrides] - Wake settings.
+ * @returns {object}
+ */
+function waker(overrides = {}) {
+  const settings = {
+    adapters: [{ type: 'webhook', url }],
+    throttleMs: 30000, throttle: {}, unknownVisitors: true,
+    retries: 2, backoffMs: 40, timeoutMs: 1000,
+    ...overrides
+  };
+  return createWaker({ getSettings: () => settings });
+}
+
+test('a wake is POSTed as JSON', async () => {
+  const { entry, done } = waker().wake({ who: 'ryan', key: 'ryan', type: 'doubleclick', text: 'hi' });
+  await done;
+  assert.equal(entry.status, 'delivered');
+  assert.equal(received.length, 1);
+  assert.deepEqual(received[0].body, { id: entry.id, ts: entry.ts, who: 'ryan', type: 'doubleclick', text: 'hi' });
+});
+
+test('failed attempts are retried with doubling backoff', async () => {
+  script = ['fail', 'fail', 'ok'];
+  const { entry, done } = waker().wake({ who: 'ryan', key: 'ryan', type: 'doubleclick', text: 'hi' });
+  await done;
+  assert.equal(entry.status, 'delivered');
+  assert.equal(entry.adapters[0].attempts, 3);
+  assert.equal(entry.adapters[0].error, null);
+  assert.equal(received.length, 3);
+  assert.ok(received[1].at - received[0].at >= 40 - 5, 'first retry waits backoffMs');
+  assert.ok(received[2].at - received[1].at >= 80 - 5, 'second retry waits twice as long');
+});
+
+test('a wake fails once the retries run out', async () => {
+  script = ['fail', 'fail', 'fail'];
+  const { entry, done } = waker({ retries: 2 }).wake({ who: 'ryan', key: 'ryan', type: 'doubleclick', text: 'hi' });
+  await done;
+  assert.equal(entry.status, 'failed');
+  assert.equal(entry.adapters[0].attempts, 3);
+  assert.equal(entry.adapters[0].error, 'webhook: HTTP 500');
+  assert.equal(received.length, 3);
+});
+
+test('a webhook that never answers times out', async () => {
+  script = ['hang'];
+  const { entry, done } = waker({ retries: 0, timeoutMs: 100 }).wake({ who: 'ryan', key: 'ryan', type: 'doubleclick', text: 'hi' });
+  await done;
+  assert.equal(entry.status, 'failed');
+  assert.match(entry.adapters[0].error, /^webhook: /);
+});
+
+test('wakes are throttled per key unless forced', async () => {
+  const w = waker();
+  await w.wake({ who: 'ryan', key: 'ryan', type: 'doubleclick', text: 'one' }).done;
+  const second = w.wake({ who: 'ryan', key: 'ryan', type: 'doubleclick', text: 'two' });
+  assert.equal(second.entry.status, 'throttled');
+  assert.ok(second.entry.retryAfterMs > 0);
+  await w.wake({ who: 'miranda', key: 'miranda', type: 'doubleclick', text: 'three' }).done;
+  await w.wake({ who: 'ryan', key: 'ryan', type: 'test', text: 'four', force: true }).done;
+  assert.deepEqual(received.map(r => r.body.text), ['one', 'three', 'four']);
+  assert.deepEqual(w.log().map(e => e.status), ['delivered', 'delivered', 'throttled', 'delivered']);
+});
+
+test('unidentified visitors are dropped when unknownVisitors is off', async () => {
+  const { entry, done } = waker({ unknownVisitors: false }).wake({ who: null, key: '10.0.0.5', type: 'doubleclick', text: 'hi' });
+  await done;
+  assert.equal(entry.status, 'dropped');
+  assert.equal(received.length, 0);
+});
+
+test('adapters are refused when settings arrive over the API', () => {
+  const adapters = loadAdapters();
+  const body = { adapters: [{ type: 'webhook', url }] };
+  assert.equal(validateWakeSettings(body, adapters), null);
+  assert.ok(validateWakeSettings(body, adapters, { allowAdapters: false }).adapters);
+  assert.ok(validateWakeSettings({ adapters: [{ type: 'webhook', url: 'ftp://x' }] }, adapters)['adapters[0].url']);
+});